@@ -2,17 +2,133 @@ import { useState, useEffect, useMemo } from 'react'
 
 const API_BASE = import.meta.env.VITE_API_URL || ''
 const TOKEN_KEY = 'spotify_token'
+const DEPTHS = [10, 20, 50, 100]
+const DECADES = ['2020s', '2010s', '2000s', '1990s', '1980s', '1970s', '1960s', '1950s']
+
+/** Query string for the chart period picker: decade, single year or from/to range. */
+function periodQuery(period, yearFrom, yearTo) {
+  if (period === 'all') return ''
+  if (period !== 'custom') return `decade=${encodeURIComponent(period)}`
+  const from = yearFrom.trim()
+  const to = yearTo.trim()
+  if (!from) return ''
+  if (!to || to === from) return `year=${encodeURIComponent(from)}`
+  return `from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+}
+
+const TRACK_SOURCE_LABELS = {
+  aoty: 'AOTY top-rated',
+  popularity: 'Spotify popularity',
+  'album-order': 'album order',
+}
+const TRACKS_PER_ALBUM_CHOICES = [1, 2, 3, 4, 5]
+const TARGET_MINUTES_CHOICES = [30, 45, 60, 90, 120, 180]
+const SEQUENCE_LABELS = {
+  rank: 'Chart order',
+  chronological: 'Chronological',
+  interleave: 'Interleaved',
+  shuffle: 'Shuffled',
+}
+
+const SKIP_REASONS = {
+  no_results: 'Not found on Spotify',
+  below_threshold: 'No confident Spotify match',
+  no_tracks: 'Spotify album has no tracks',
+  over_duration: 'Left out to fit the playlist length',
+  over_track_limit: 'Left out: playlist track limit reached',
+  spotify_auth: 'Spotify login expired',
+  error: 'Lookup failed',
+}
+
+/** "3:07" for a track length in milliseconds. */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+/** "1 h 12 min" (or "48 min") for a playlist's running time in milliseconds. */
+function formatRuntime(ms) {
+  const minutes = Math.round(ms / 60000)
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`
+}
+
+/** Per-album checklist from a playlist response's report: what matched, how, and why the rest were skipped. */
+function renderMatchChecklist(report) {
+  const matched = report.filter((entry) => entry.status === 'matched').length
+  return (
+    <div className="bg-[#181818] rounded-xl overflow-hidden border border-[#282828] mt-6">
+      <div className="px-6 py-4 border-b border-[#282828] flex items-center justify-between">
+        <span className="text-[#b3b3b3] text-sm">Album matches</span>
+        <span className="text-sm font-medium">{matched}/{report.length} matched</span>
+      </div>
+      <ul className="divide-y divide-[#282828] max-h-[50vh] overflow-y-auto">
+        {report.map((entry, i) => (
+          <li key={`${i}-${entry.artist}-${entry.album}`} className="px-6 py-3 flex gap-4">
+            <span
+              className={`w-5 shrink-0 font-bold ${entry.status === 'matched' ? 'text-[#1db954]' : 'text-red-400'}`}
+              aria-label={entry.status === 'matched' ? 'Matched' : 'Skipped'}
+            >
+              {entry.status === 'matched' ? '✓' : '✗'}
+            </span>
+            <div className="flex-1 min-w-0 text-sm">
+              <p className="font-medium truncate">{entry.album} <span className="text-[#b3b3b3] font-normal">· {entry.artist}</span></p>
+              {entry.status === 'matched' ? (
+                <>
+                  <p className="text-[#b3b3b3] truncate">
+                    <a href={entry.spotifyAlbum.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                      {entry.spotifyAlbum.name}
+                    </a>
+                    {' '}· {entry.override ? 'manual match' : `${Math.round(entry.confidence * 100)}%`} ·{' '}
+                    {[...new Set(entry.tracks.map((t) => TRACK_SOURCE_LABELS[t.source] || t.source))].join(', ')}
+                  </p>
+                  <p className="text-[#727272] truncate">{entry.tracks.map((t) => t.name).join(' · ')}</p>
+                </>
+              ) : (
+                <p className="text-red-400/80">
+                  {SKIP_REASONS[entry.skipReason] || 'Skipped'}
+                  {entry.confidence && !entry.skipReason?.startsWith('over_') ? ` (best ${Math.round(entry.confidence * 100)}%)` : ''}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
 
 export default function App() {
   const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY))
   const [genre, setGenre] = useState('')
+  const [period, setPeriod] = useState('all')
+  const [depth, setDepth] = useState(20)
+  const [yearFrom, setYearFrom] = useState('')
+  const [yearTo, setYearTo] = useState('')
   const [loading, setLoading] = useState(false)
+  const [queuePosition, setQueuePosition] = useState(null)
   const [playlistLoading, setPlaylistLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
   const [result, setResult] = useState(null)
   const [playlistId, setPlaylistId] = useState(null)
   const [playlistUrl, setPlaylistUrl] = useState(null)
   const [playlistWarning, setPlaylistWarning] = useState(null)
+  const [playlistSynced, setPlaylistSynced] = useState(false)
+  const [createCopy, setCreateCopy] = useState(false)
+  const [report, setReport] = useState(null)
+  const [fixingUrl, setFixingUrl] = useState(null)
+  const [matchSearch, setMatchSearch] = useState(null)
+  const [matchQuery, setMatchQuery] = useState('')
+  const [overrides, setOverrides] = useState({})
+  const [preview, setPreview] = useState(null)
+  const [trackStrategies, setTrackStrategies] = useState([])
+  const [trackStrategy, setTrackStrategy] = useState('aoty-favorites')
+  const [tracksPerAlbum, setTracksPerAlbum] = useState(3)
+  const [sequence, setSequence] = useState('rank')
+  const [targetMinutes, setTargetMinutes] = useState('')
+  const [playlistRuntime, setPlaylistRuntime] = useState(null)
+  const [playlistShortfall, setPlaylistShortfall] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
   const [genres, setGenres] = useState([])
   const [showGenreSuggestions, setShowGenreSuggestions] = useState(false)
 
@@ -30,6 +146,10 @@ export default function App() {
       .slice(0, 50)
   }, [genres, genre])
 
+  // Strategies like "full album" or "one per album" set their own track count
+  const selectedStrategy = trackStrategies.find((s) => s.id === trackStrategy)
+  const fixedTrackCount = selectedStrategy?.allTracks ? 'All' : selectedStrategy?.fixedCount
+
   // First suggestion whose name starts with the typed text — shown inline in the input
   const inlineSuggestion = useMemo(() => {
     const t = genre.trim()
@@ -54,6 +174,19 @@ export default function App() {
     }
   }, [])
 
+  // Fetch track-selection strategies for the playlist options
+  useEffect(() => {
+    fetch(`${API_BASE}/api/track-strategies`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!data.strategies) return
+        setTrackStrategies(data.strategies)
+        setTrackStrategy(data.default)
+        setTracksPerAlbum(data.defaultTracksPerAlbum)
+      })
+      .catch(() => {})
+  }, [])
+
   // Fetch AOTY genre list for autocomplete
   useEffect(() => {
     fetch(`${API_BASE}/api/genres`)
@@ -75,23 +208,38 @@ export default function App() {
     }
   }
 
-  async function handleGenerate() {
-    const trimmed = genre.trim()
+  async function handleGenerate(genreOverride) {
+    const trimmed = (genreOverride ?? genre).trim()
     if (!trimmed) {
       setError('Enter a genre')
       return
     }
     setError(null)
+    setSuggestions([])
     setResult(null)
     setPlaylistId(null)
     setPlaylistUrl(null)
     setPlaylistWarning(null)
+    setReport(null)
+    setPreview(null)
+    setFixingUrl(null)
     setLoading(true)
     try {
-      const res = await fetch(`${API_BASE}/api/chart/${encodeURIComponent(trimmed)}`)
-      const data = await res.json()
+      const query = [periodQuery(period, yearFrom, yearTo), `depth=${depth}`].filter(Boolean).join('&')
+      const url = `${API_BASE}/api/chart/${encodeURIComponent(trimmed)}?${query}`
+      let res = await fetch(url)
+      let data = await res.json()
+      // 202 means the scrape is waiting behind others; poll until it has run
+      while (res.status === 202) {
+        setQueuePosition(data.position)
+        const retryAfter = Number(res.headers.get('Retry-After')) || 5
+        await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000))
+        res = await fetch(url)
+        data = await res.json()
+      }
       if (!res.ok) {
         setError(data.error || data.message || 'Request failed')
+        setSuggestions(data.suggestions || [])
         return
       }
       setResult(data)
@@ -99,6 +247,122 @@ export default function App() {
       setError(e.message || 'Network error')
     } finally {
       setLoading(false)
+      setQueuePosition(null)
+    }
+  }
+
+  async function loadMatchCandidates(item, query = '') {
+    setMatchSearch({ loading: true, candidates: [], override: null, error: null })
+    try {
+      const params = new URLSearchParams({ artist: item.artist, album: item.album, albumUrl: item.albumUrl })
+      if (item.year) params.set('year', item.year)
+      if (query.trim()) params.set('q', query.trim())
+      const res = await fetch(`${API_BASE}/api/match/candidates?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setMatchSearch({ loading: false, candidates: [], override: null, error: data.message || data.error || 'Search failed' })
+        return
+      }
+      setMatchSearch({ loading: false, candidates: data.candidates, override: data.override, error: null })
+      if (data.override) setOverrides((prev) => ({ ...prev, [item.albumUrl]: data.override }))
+    } catch (e) {
+      setMatchSearch({ loading: false, candidates: [], override: null, error: e.message || 'Network error' })
+    }
+  }
+
+  function handleFixMatch(item) {
+    if (fixingUrl === item.albumUrl) {
+      setFixingUrl(null)
+      return
+    }
+    setFixingUrl(item.albumUrl)
+    setMatchQuery('')
+    loadMatchCandidates(item)
+  }
+
+  async function handleChooseMatch(item, candidate) {
+    try {
+      const res = await fetch(`${API_BASE}/api/match/override`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ albumUrl: item.albumUrl, spotifyAlbumId: candidate.id, artist: item.artist, album: item.album }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.message || data.error || 'Saving the match failed')
+      setOverrides((prev) => ({ ...prev, [item.albumUrl]: data.override }))
+      setPreview(null)
+      setFixingUrl(null)
+    } catch (e) {
+      setMatchSearch((prev) => ({ ...prev, error: e.message || 'Network error' }))
+    }
+  }
+
+  async function handleClearMatch(item) {
+    try {
+      const params = new URLSearchParams({ albumUrl: item.albumUrl })
+      const res = await fetch(`${API_BASE}/api/match/override?${params}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      if (!res.ok && res.status !== 404) {
+        const data = await res.json().catch(() => ({}))
+        throw new Error(data.message || data.error || 'Clearing the match failed')
+      }
+      setOverrides((prev) => ({ ...prev, [item.albumUrl]: null }))
+      setMatchSearch((prev) => ({ ...prev, override: null }))
+      setPreview(null)
+    } catch (e) {
+      setMatchSearch((prev) => ({ ...prev, error: e.message || 'Network error' }))
+    }
+  }
+
+  function chartRequestBody() {
+    return {
+      genre: result.genre,
+      period: result.period,
+      strategy: trackStrategy,
+      tracksPerAlbum,
+      sequence,
+      ...(targetMinutes && { targetMinutes }),
+      albums: result.data.map((item) => ({ artist: item.artist, album: item.album, albumUrl: item.albumUrl })),
+    }
+  }
+
+  async function handlePreview() {
+    if (!token || !result?.data?.length) return
+    setError(null)
+    setReport(null)
+    setPreview(null)
+    setPreviewLoading(true)
+    try {
+      const res = await fetch(`${API_BASE}/api/preview-playlist`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(chartRequestBody()),
+      })
+      const data = await res.json()
+      setReport(data.report || null)
+      if (!res.ok) {
+        setError(data.message || data.error || 'Failed to preview playlist')
+        if (res.status === 401) {
+          localStorage.removeItem(TOKEN_KEY)
+          setToken(null)
+        }
+        return
+      }
+      setPreview(data)
+    } catch (e) {
+      setError(e.message || 'Network error')
+    } finally {
+      setPreviewLoading(false)
     }
   }
 
@@ -106,6 +370,7 @@ export default function App() {
     if (!token || !result?.data?.length) return
     setError(null)
     setPlaylistWarning(null)
+    if (!preview) setReport(null)
     setPlaylistLoading(true)
     try {
       const res = await fetch(`${API_BASE}/api/generate-playlist`, {
@@ -114,12 +379,15 @@ export default function App() {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`,
         },
+        // A previewed list is created exactly as shown instead of being resolved again
         body: JSON.stringify({
-          genre: result.genre,
-          albums: result.data.map((item) => ({ artist: item.artist, album: item.album, albumUrl: item.albumUrl })),
+          ...chartRequestBody(),
+          ...(preview?.trackUris.length && { trackUris: preview.trackUris }),
+          ...(createCopy && { createCopy: true }),
         }),
       })
       const data = await res.json()
+      if (data.report) setReport(data.report)
       if (!res.ok) {
         setError(data.message || data.error || 'Failed to create playlist')
         if (res.status === 401) {
@@ -129,6 +397,9 @@ export default function App() {
         return
       }
       setPlaylistId(data.playlist_id)
+      setPlaylistSynced(Boolean(data.synced))
+      setPlaylistRuntime(data.durationMs ?? preview?.durationMs ?? null)
+      setPlaylistShortfall(data.durationShortfallMs ?? preview?.durationShortfallMs ?? null)
       setPlaylistUrl(data.playlistUrl || `https://open.spotify.com/playlist/${data.playlist_id}`)
       if (data.message || (data.error && data.trackCount === 0)) {
         setPlaylistWarning(data.message || data.error)
@@ -251,18 +522,83 @@ export default function App() {
                   </ul>
                 )}
               </div>
+              <select
+                value={period}
+                onChange={(e) => setPeriod(e.target.value)}
+                disabled={loading}
+                aria-label="Period"
+                className="rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-[#1db954] disabled:opacity-50"
+              >
+                <option value="all">All time</option>
+                {DECADES.map((d) => (
+                  <option key={d} value={d}>{d}</option>
+                ))}
+                <option value="custom">Years…</option>
+              </select>
+              <select
+                value={depth}
+                onChange={(e) => setDepth(Number(e.target.value))}
+                disabled={loading}
+                aria-label="Number of albums"
+                className="rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 text-sm text-white focus:outline-none focus:ring-2 focus:ring-[#1db954] disabled:opacity-50"
+              >
+                {DEPTHS.map((n) => (
+                  <option key={n} value={n}>Top {n}</option>
+                ))}
+              </select>
               <button
-                onClick={handleGenerate}
+                onClick={() => handleGenerate()}
                 disabled={loading}
                 className="px-6 py-3 bg-[#1db954] hover:bg-[#1ed760] disabled:opacity-50 disabled:cursor-not-allowed rounded-full font-semibold text-black transition-colors"
               >
-                {loading ? 'Loading…' : 'Generate'}
+                {loading ? (queuePosition ? `Queued (#${queuePosition})…` : 'Loading…') : 'Generate'}
               </button>
             </div>
 
+            {period === 'custom' && (
+              <div className="flex items-center gap-3 -mt-5 mb-8 text-sm text-[#b3b3b3]">
+                <span>From</span>
+                <input
+                  type="number"
+                  value={yearFrom}
+                  onChange={(e) => setYearFrom(e.target.value)}
+                  placeholder="2015"
+                  aria-label="From year"
+                  className="w-24 rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white placeholder-[#727272] focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                />
+                <span>to</span>
+                <input
+                  type="number"
+                  value={yearTo}
+                  onChange={(e) => setYearTo(e.target.value)}
+                  placeholder="2020"
+                  aria-label="To year"
+                  className="w-24 rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white placeholder-[#727272] focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                />
+              </div>
+            )}
+
             {error && (
               <div className="mb-6 p-4 bg-[#282828] border border-red-500/50 rounded-lg text-red-400 text-sm">
                 {error}
+                {suggestions.length > 0 && (
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-[#b3b3b3]">
+                    <span>Did you mean</span>
+                    {suggestions.map((s) => (
+                      <button
+                        key={s.slug}
+                        type="button"
+                        onClick={() => {
+                          setGenre(s.name)
+                          handleGenerate(s.slug)
+                        }}
+                        className="px-3 py-1 rounded-full bg-[#3e3e3e] hover:bg-[#1db954] hover:text-black text-white text-xs font-medium transition-colors"
+                      >
+                        {s.name}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
 
@@ -272,33 +608,242 @@ export default function App() {
                   <span className="text-[#b3b3b3] text-sm">
                     {result.cached ? 'From cache' : 'Just scraped'} · {result.data?.length ?? 0} albums
                   </span>
-                  <span className="text-[#1db954] font-medium capitalize">{result.genre}</span>
+                  <span className="text-[#1db954] font-medium capitalize">
+                    {result.period ? `${result.period.label} ${result.genre}` : result.genre}
+                  </span>
                 </div>
                 <ul className="divide-y divide-[#282828] max-h-[50vh] overflow-y-auto">
                   {result.data?.map((item) => (
                     <li
                       key={`${item.rank}-${item.artist}-${item.album}`}
-                      className="px-6 py-3 flex items-center gap-4 hover:bg-[#282828] transition-colors"
+                      className="px-6 py-3 hover:bg-[#282828] transition-colors"
                     >
-                      <span className="text-[#727272] w-8 text-right text-sm tabular-nums">
-                        {item.rank}
-                      </span>
-                      <div className="flex-1 min-w-0">
-                        <p className="font-medium truncate">{item.album}</p>
-                        <p className="text-[#b3b3b3] text-sm truncate">{item.artist}</p>
+                      <div className="flex items-center gap-4">
+                        <span className="text-[#727272] w-8 text-right text-sm tabular-nums">
+                          {item.rank}
+                        </span>
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium truncate">{item.album}</p>
+                          <p className="text-[#b3b3b3] text-sm truncate">{item.artist}</p>
+                          {overrides[item.albumUrl] && (
+                            <p className="text-[#1db954] text-xs truncate">Spotify: {overrides[item.albumUrl].name} · {overrides[item.albumUrl].artist}</p>
+                          )}
+                        </div>
+                        {item.albumUrl && (
+                          <button
+                            type="button"
+                            onClick={() => handleFixMatch(item)}
+                            className="shrink-0 text-xs text-[#b3b3b3] hover:text-white underline-offset-2 hover:underline"
+                          >
+                            {fixingUrl === item.albumUrl ? 'Close' : 'Fix match'}
+                          </button>
+                        )}
                       </div>
+                      {fixingUrl === item.albumUrl && matchSearch && (
+                        <div className="mt-3 ml-12 text-sm">
+                          <form
+                            className="flex gap-2 mb-2"
+                            onSubmit={(e) => {
+                              e.preventDefault()
+                              loadMatchCandidates(item, matchQuery)
+                            }}
+                          >
+                            <input
+                              type="text"
+                              value={matchQuery}
+                              onChange={(e) => setMatchQuery(e.target.value)}
+                              placeholder={`Search Spotify… e.g. ${item.artist} ${item.album}`}
+                              aria-label="Search Spotify albums"
+                              className="flex-1 rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-1.5 text-white placeholder-[#727272] focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                            />
+                            <button
+                              type="submit"
+                              disabled={matchSearch.loading}
+                              className="px-3 py-1.5 rounded-full bg-[#3e3e3e] hover:bg-[#4a4a4a] disabled:opacity-50 text-xs font-medium"
+                            >
+                              Search
+                            </button>
+                          </form>
+                          {matchSearch.override && (
+                            <p className="text-[#b3b3b3] mb-2">
+                              Saved match: {matchSearch.override.name} · {matchSearch.override.artist}{' '}
+                              <button type="button" onClick={() => handleClearMatch(item)} className="text-red-400 hover:underline">
+                                Clear
+                              </button>
+                            </p>
+                          )}
+                          {matchSearch.error && <p className="text-red-400 mb-2">{matchSearch.error}</p>}
+                          {matchSearch.loading ? (
+                            <p className="text-[#727272]">Searching Spotify…</p>
+                          ) : matchSearch.candidates.length === 0 ? (
+                            !matchSearch.error && <p className="text-[#727272]">No Spotify albums found. Try another search.</p>
+                          ) : (
+                            <ul className="space-y-1">
+                              {matchSearch.candidates.map((c) => (
+                                <li key={c.id} className="flex items-center gap-3">
+                                  {c.imageUrl && <img src={c.imageUrl} alt="" className="w-8 h-8 rounded shrink-0" />}
+                                  <a href={c.url} target="_blank" rel="noopener noreferrer" className="flex-1 min-w-0 truncate hover:underline">
+                                    {c.name} <span className="text-[#b3b3b3]">· {c.artist}{c.releaseDate ? ` · ${c.releaseDate.slice(0, 4)}` : ''}</span>
+                                  </a>
+                                  <span className="text-[#727272] tabular-nums">{Math.round(c.confidence * 100)}%</span>
+                                  <button
+                                    type="button"
+                                    onClick={() => handleChooseMatch(item, c)}
+                                    className="px-3 py-1 rounded-full bg-[#3e3e3e] hover:bg-[#1db954] hover:text-black text-xs font-medium transition-colors"
+                                  >
+                                    Use
+                                  </button>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
-                <div className="px-6 py-4 border-t border-[#282828] bg-[#1a1a1a]">
+                {trackStrategies.length > 0 && (
+                  <div className="px-6 py-3 border-t border-[#282828] bg-[#1a1a1a] flex flex-wrap items-center gap-3 text-sm text-[#b3b3b3]">
+                    <span>Tracks</span>
+                    <select
+                      value={trackStrategy}
+                      onChange={(e) => {
+                        setTrackStrategy(e.target.value)
+                        setPreview(null)
+                      }}
+                      aria-label="Track selection"
+                      title={selectedStrategy?.description}
+                      className="flex-1 rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                    >
+                      {trackStrategies.map((s) => (
+                        <option key={s.id} value={s.id}>{s.label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={fixedTrackCount || targetMinutes ? '' : tracksPerAlbum}
+                      onChange={(e) => {
+                        setTracksPerAlbum(Number(e.target.value))
+                        setPreview(null)
+                      }}
+                      disabled={Boolean(fixedTrackCount || targetMinutes)}
+                      aria-label="Tracks per album"
+                      className="rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-[#1db954] disabled:opacity-50"
+                    >
+                      {fixedTrackCount ? (
+                        <option value="">{fixedTrackCount} per album</option>
+                      ) : (
+                        targetMinutes && <option value="">As many as fit</option>
+                      )}
+                      {TRACKS_PER_ALBUM_CHOICES.map((n) => (
+                        <option key={n} value={n}>{n} per album</option>
+                      ))}
+                    </select>
+                    <select
+                      value={targetMinutes}
+                      onChange={(e) => {
+                        setTargetMinutes(e.target.value ? Number(e.target.value) : '')
+                        setPreview(null)
+                      }}
+                      aria-label="Playlist length"
+                      className="rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                    >
+                      <option value="">Any length</option>
+                      {TARGET_MINUTES_CHOICES.map((minutes) => (
+                        <option key={minutes} value={minutes}>{formatRuntime(minutes * 60000)}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={sequence}
+                      onChange={(e) => {
+                        setSequence(e.target.value)
+                        setPreview(null)
+                      }}
+                      aria-label="Playlist order"
+                      className="rounded-lg border border-[#3e3e3e] bg-[#282828] px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-[#1db954]"
+                    >
+                      {Object.entries(SEQUENCE_LABELS).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="px-6 py-4 border-t border-[#282828] bg-[#1a1a1a] flex gap-3">
+                  <button
+                    onClick={handlePreview}
+                    disabled={previewLoading || playlistLoading}
+                    className="flex-1 py-3 bg-[#3e3e3e] hover:bg-[#4a4a4a] disabled:opacity-50 disabled:cursor-not-allowed rounded-full font-semibold transition-colors"
+                  >
+                    {previewLoading ? 'Resolving tracks…' : preview ? (sequence === 'shuffle' ? 'Reshuffle' : 'Refresh preview') : 'Preview tracks'}
+                  </button>
                   <button
                     onClick={handleCreatePlaylist}
-                    disabled={playlistLoading}
-                    className="w-full py-3 bg-[#1db954] hover:bg-[#1ed760] disabled:opacity-50 disabled:cursor-not-allowed rounded-full font-semibold text-black transition-colors"
+                    disabled={playlistLoading || previewLoading || preview?.trackCount === 0}
+                    className="flex-1 py-3 bg-[#1db954] hover:bg-[#1ed760] disabled:opacity-50 disabled:cursor-not-allowed rounded-full font-semibold text-black transition-colors"
                   >
                     {playlistLoading ? 'Creating playlist…' : 'Create Spotify Playlist'}
                   </button>
                 </div>
+                <label className="px-6 pb-4 bg-[#1a1a1a] flex items-center gap-2 text-sm text-[#b3b3b3]">
+                  <input
+                    type="checkbox"
+                    checked={createCopy}
+                    onChange={(e) => setCreateCopy(e.target.checked)}
+                    className="accent-[#1db954]"
+                  />
+                  Create a separate copy instead of updating this primer&apos;s existing playlist
+                </label>
+              </div>
+            )}
+
+            {preview && !playlistId && (
+              <div className="bg-[#181818] rounded-xl overflow-hidden border border-[#282828] mb-6">
+                <div className="px-6 py-4 border-b border-[#282828] flex items-center justify-between">
+                  <span className="text-[#b3b3b3] text-sm truncate">{preview.name}</span>
+                  <span className="text-sm font-medium shrink-0">
+                    {preview.trackCount} tracks · {formatRuntime(preview.durationMs)}
+                    {preview.targetDurationMs ? ` of ${formatRuntime(preview.targetDurationMs)}` : ''}
+                  </span>
+                </div>
+                {preview.durationShortfallMs > 0 && (
+                  <p className="px-6 py-3 border-b border-[#282828] text-sm text-amber-400">
+                    This chart only has {formatRuntime(preview.durationMs)} of music, {formatRuntime(preview.durationShortfallMs)} short
+                    of the target. Load a longer chart to fill it.
+                  </p>
+                )}
+                {preview.trackCount === 0 ? (
+                  <p className="px-6 py-4 text-sm text-[#b3b3b3]">No tracks could be resolved. Fix the album matches below and preview again.</p>
+                ) : (
+                  <ol className="divide-y divide-[#282828] max-h-[50vh] overflow-y-auto">
+                    {preview.tracks.map((track, i) => (
+                      <li key={`${i}-${track.uri}`} className="px-6 py-2 flex items-center gap-4 text-sm">
+                        <span className="text-[#727272] w-8 text-right tabular-nums">{i + 1}</span>
+                        <div className="flex-1 min-w-0">
+                          <p className="truncate">{track.name}</p>
+                          <p className="text-[#b3b3b3] truncate">
+                            {track.artist} · {track.album.title}
+                            {preview.sequence === 'chronological' && track.album.spotifyAlbum?.releaseDate
+                              ? ` · ${track.album.spotifyAlbum.releaseDate.slice(0, 4)}`
+                              : ''}
+                          </p>
+                        </div>
+                        {track.previewUrl && (
+                          <a
+                            href={track.previewUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-[#b3b3b3] hover:text-[#1db954]"
+                            aria-label={`Play a preview of ${track.name}`}
+                          >
+                            ▶
+                          </a>
+                        )}
+                        <span className="text-[#727272] tabular-nums w-12 text-right">
+                          {track.durationMs ? formatDuration(track.durationMs) : ''}
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
               </div>
             )}
 
@@ -307,8 +852,22 @@ export default function App() {
                 <div className="px-6 py-5 border-b border-[#282828]">
                   <p className="text-[#1db954] font-semibold text-lg mb-1">Success!</p>
                   <p className="text-[#b3b3b3] text-sm">
-                    {playlistWarning ? 'Playlist created. You can open it and add songs manually.' : 'Your playlist has been created and added to your Spotify account.'}
+                    {playlistWarning
+                      ? playlistSynced
+                        ? 'Playlist found, but its tracks could not all be replaced.'
+                        : 'Playlist created. You can open it and add songs manually.'
+                      : playlistSynced
+                        ? 'Your existing playlist was updated in place: same link, same followers, fresh tracks.'
+                        : 'Your playlist has been created and added to your Spotify account.'}
                   </p>
+                  {playlistRuntime > 0 && (
+                    <p className="text-[#b3b3b3] text-sm mt-1">
+                      Running time: {formatRuntime(playlistRuntime)}
+                      {playlistShortfall > 0 && (
+                        <span className="text-amber-400"> ({formatRuntime(playlistShortfall)} short of the target; the chart ran out of tracks)</span>
+                      )}
+                    </p>
+                  )}
                   {playlistWarning && (
                     <p className="text-amber-400 text-sm mt-2">
                       Note: {playlistWarning}
@@ -338,6 +897,8 @@ export default function App() {
                 </div>
               </div>
             )}
+
+            {report?.length > 0 && renderMatchChecklist(report)}
           </>
         )}
       </div>
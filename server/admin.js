@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import express from 'express';
+import { DEFAULT_CHART_DEPTH, MAX_CHART_DEPTH } from './aoty.js';
+import { DEFAULT_CHART_SOURCE, getChartSource } from './chartSources/index.js';
+import {
+  chartCacheKey,
+  deleteCachedChart,
+  listCachedCharts,
+  parseChartCacheKey,
+  readCachedChart,
+  refreshChart,
+} from './chartCache.js';
+import { resolveChartGenre } from './genreResolver.js';
+import { clearGenresCache } from './genreTaxonomy.js';
+import { queuePosition } from './scrapeQueue.js';
+import { listAdminActions, recordAdminAction } from './auditLog.js';
+
+/**
+ * Admin API under /api/admin: inspect, refresh, delete and warm cached charts, and drop the in-memory
+ * genre list. Every request needs `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN set the
+ * routes are disabled. Each action is written to the audit log.
+ */
+export const adminRouter = express.Router();
+
+// Most genres one warm-up request may queue
+const MAX_WARM_GENRES = 50;
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+adminRouter.use((req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN is not set)' });
+  }
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!given || !tokenMatches(given, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+});
+
+/** Cached charts with their age, row count and depth. */
+adminRouter.get('/charts', async (req, res) => {
+  try {
+    const charts = await listCachedCharts();
+    res.json({ charts, count: charts.length });
+  } catch (err) {
+    console.error('GET /api/admin/charts error:', err);
+    res.status(500).json({ error: 'Failed to list cached charts', message: err.message });
+  }
+});
+
+/** Re-scrape one cached chart now (keeps its depth) and wait for the result. */
+adminRouter.post('/charts/:key/refresh', async (req, res) => {
+  const cacheKey = req.params.key;
+  try {
+    const { sourceId, genre, period } = parseChartCacheKey(cacheKey);
+    if (!getChartSource(sourceId)?.cacheable || !genre) {
+      return res.status(400).json({ error: `Not a chart cache key: "${cacheKey}"` });
+    }
+    const cached = await readCachedChart(cacheKey);
+    const depth = cached?.depth ?? DEFAULT_CHART_DEPTH;
+    const { albums, tier, reason, fetchedAt } = await refreshChart({
+      sourceId, genreSlug: genre, cacheKey, period, depth,
+    }).promise;
+    const ok = albums?.length > 0;
+    await recordAdminAction(req, 'chart.refresh', {
+      target: cacheKey,
+      details: { ok, rows: albums?.length ?? 0, tier, reason, depth },
+    });
+    res.status(ok ? 200 : 502).json({ key: cacheKey, ok, rows: albums?.length ?? 0, tier, reason, fetchedAt });
+  } catch (err) {
+    console.error('POST /api/admin/charts/:key/refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh chart', message: err.message });
+  }
+});
+
+/** Delete one cached chart; the next request for it scrapes again. */
+adminRouter.delete('/charts/:key', async (req, res) => {
+  const cacheKey = req.params.key;
+  try {
+    const deleted = await deleteCachedChart(cacheKey);
+    await recordAdminAction(req, 'chart.delete', { target: cacheKey, details: { deleted } });
+    res.status(deleted ? 200 : 404).json({ key: cacheKey, deleted });
+  } catch (err) {
+    console.error('DELETE /api/admin/charts/:key error:', err);
+    res.status(500).json({ error: 'Failed to delete chart', message: err.message });
+  }
+});
+
+/**
+ * Queue scrapes for a list of genres so their charts are cached before anyone asks.
+ * Body: { genres: string[], source?: string, depth?: number }. A chart already cached deeper than depth is
+ * refreshed at its cached depth. Answers 202 with each genre's job state without waiting for the scrapes.
+ */
+adminRouter.post('/warm', async (req, res) => {
+  try {
+    const { genres, source: sourceParam, depth: depthParam } = req.body || {};
+    if (!Array.isArray(genres) || genres.length === 0 || genres.length > MAX_WARM_GENRES) {
+      return res.status(400).json({ error: `genres must be a list of 1 to ${MAX_WARM_GENRES} genre names` });
+    }
+    const sourceId = (sourceParam || DEFAULT_CHART_SOURCE).toString().trim();
+    const source = getChartSource(sourceId);
+    if (!source?.cacheable) {
+      return res.status(400).json({ error: `Chart source "${sourceId}" is unknown or not cached` });
+    }
+    const depth = depthParam === undefined ? DEFAULT_CHART_DEPTH : Number.parseInt(depthParam, 10);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_CHART_DEPTH) {
+      return res.status(400).json({ error: `depth must be a whole number from 1 to ${MAX_CHART_DEPTH}` });
+    }
+
+    const results = [];
+    for (const rawGenre of genres) {
+      const input = String(rawGenre).trim();
+      const resolved = input ? await resolveChartGenre(input, source) : { slug: null, suggestions: [] };
+      if (!resolved.slug) {
+        results.push({ genre: input, status: 'unknown_genre', suggestions: resolved.suggestions });
+        continue;
+      }
+      const cacheKey = chartCacheKey(sourceId, resolved.slug, null);
+      // Never replace a deeper cached list with a shorter one
+      const warmDepth = Math.max(depth, (await readCachedChart(cacheKey))?.depth ?? 0);
+      const job = refreshChart({ sourceId, genreSlug: resolved.slug, cacheKey, depth: warmDepth });
+      results.push({ genre: input, key: cacheKey, depth: warmDepth, status: job.state, position: queuePosition(job) });
+    }
+    await recordAdminAction(req, 'chart.warm', {
+      target: sourceId,
+      details: {
+        depth,
+        genres: results.map(({ genre, key, depth: warmDepth, status }) => ({ genre, key, depth: warmDepth, status })),
+      },
+    });
+    res.status(202).json({ source: sourceId, depth, results });
+  } catch (err) {
+    console.error('POST /api/admin/warm error:', err);
+    res.status(500).json({ error: 'Failed to warm charts', message: err.message });
+  }
+});
+
+/** Drop the in-memory genre list so the next request reloads it from storage or AOTY. */
+adminRouter.delete('/genres/cache', async (req, res) => {
+  try {
+    const cleared = clearGenresCache();
+    await recordAdminAction(req, 'genres.clear', { details: { cleared } });
+    res.json({ cleared });
+  } catch (err) {
+    console.error('DELETE /api/admin/genres/cache error:', err);
+    res.status(500).json({ error: 'Failed to clear genre list', message: err.message });
+  }
+});
+
+/** Recent admin actions, newest first (?limit=, default 100). */
+adminRouter.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ entries: await listAdminActions(limit) });
+  } catch (err) {
+    console.error('GET /api/admin/audit error:', err);
+    res.status(500).json({ error: 'Failed to read audit log', message: err.message });
+  }
+});
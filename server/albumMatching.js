@@ -0,0 +1,183 @@
+import { similarityRatio } from './similarity.js';
+
+/**
+ * Match an AOTY chart entry to a Spotify album. Several search queries are tried (fielded, then plain,
+ * then with punctuation and edition suffixes stripped) and every candidate is scored on artist and title
+ * similarity, release year, album type and track count. The best candidate is used only when its
+ * confidence reaches ALBUM_MATCH_THRESHOLD; otherwise the album is skipped rather than mismatched.
+ */
+
+export const ALBUM_MATCH_THRESHOLD = Number.parseFloat(process.env.ALBUM_MATCH_THRESHOLD) || 0.7;
+// A candidate this good ends the search without trying the remaining queries
+const CONFIDENT_MATCH = 0.9;
+const SEARCH_LIMIT = 10;
+
+const WEIGHTS = { artist: 0.4, album: 0.4, year: 0.1, type: 0.05, tracks: 0.05 };
+
+// Edition and reissue markers: "(Deluxe Edition)", "[Remastered 2011]", "- 20th Anniversary Edition"
+const EDITION_RE = /\b(deluxe|expanded|remaster(ed)?|anniversary|edition|bonus tracks?|special|collector'?s|legacy|reissue|version)\b/i;
+const TRIBUTE_RE = /\b(tribute|karaoke|lullaby|8[- ]?bit|covers? of|in the style of|made famous by)\b/i;
+
+function foldText(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ');
+}
+
+/** Lowercase, accent-free, punctuation-free text with edition/remaster suffixes removed. */
+export function normalizeAlbumTitle(title) {
+  return foldText(title)
+    .replace(/\s*[([][^)\]]*[)\]]/g, (group) => (EDITION_RE.test(group) ? '' : group))
+    .replace(/\s+[-–—:]\s+[^-–—:]*$/, (tail) => (EDITION_RE.test(tail) ? '' : tail))
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/** Artist names for comparison: accents folded, punctuation and a leading "the" dropped. */
+function normalizeArtist(name) {
+  return foldText(name).replace(/[^a-z0-9]+/g, ' ').trim().replace(/^the /, '');
+}
+
+/** Search queries to try in order, without duplicates. */
+export function albumSearchQueries(artist, album) {
+  const a = (artist || '').trim();
+  const t = (album || '').trim();
+  const stripped = normalizeAlbumTitle(t);
+  const plainArtist = foldText(a).replace(/[^a-z0-9]+/g, ' ').trim();
+  return [...new Set([
+    `artist:${a} album:${t}`,
+    `${a} ${t}`,
+    `artist:${plainArtist} album:${stripped}`,
+    `${plainArtist} ${stripped}`,
+  ].map((q) => q.trim()).filter((q) => q && !/^artist:\s*album:\s*$/.test(q)))];
+}
+
+function yearScore(wanted, releaseDate) {
+  const year = Number.parseInt((releaseDate || '').slice(0, 4), 10);
+  if (!wanted || !year) return null;
+  const diff = Math.abs(wanted - year);
+  return diff === 0 ? 1 : diff === 1 ? 0.8 : Math.max(0, 1 - diff / 10);
+}
+
+function typeScore(albumType, recordType) {
+  const wanted = (recordType || '').toLowerCase();
+  if (albumType === 'album') return wanted === 'ep' || wanted === 'single' ? 0.7 : 1;
+  if (albumType === 'single') return wanted === 'ep' || wanted === 'single' ? 1 : 0.4;
+  if (albumType === 'compilation') return wanted.includes('compilation') ? 1 : 0.2;
+  return 0.5;
+}
+
+function trackCountScore(wanted, total) {
+  if (!wanted || !total) return null;
+  return Math.max(0, 1 - Math.abs(wanted - total) / Math.max(wanted, total));
+}
+
+/**
+ * Score one Spotify album (search result shape) against a chart entry.
+ * @param {{ artist: string, album: string, year?: number, recordType?: string, trackCount?: number }} target
+ * @param {{ name: string, artists: { name: string }[], release_date?: string, album_type?: string,
+ *   total_tracks?: number }} candidate
+ * @returns {{ confidence: number, scores: object }} confidence 0–1 plus the per-signal scores (null when
+ *   a signal is unknown and left out of the weighting)
+ */
+export function scoreAlbumCandidate(target, candidate) {
+  const targetArtist = normalizeArtist(target.artist);
+  const artist = Math.max(
+    0,
+    ...(candidate.artists || []).map((a) => similarityRatio(targetArtist, normalizeArtist(a.name))),
+  );
+  let album = similarityRatio(normalizeAlbumTitle(target.album), normalizeAlbumTitle(candidate.name));
+  // Deluxe/remaster editions are fine but the plain release is preferred when both are listed
+  if (EDITION_RE.test(candidate.name) && !EDITION_RE.test(target.album)) album *= 0.95;
+  if (TRIBUTE_RE.test(candidate.name) && !TRIBUTE_RE.test(target.album)) album *= 0.3;
+
+  const scores = {
+    artist,
+    album,
+    year: yearScore(target.year, candidate.release_date),
+    type: typeScore(candidate.album_type, target.recordType),
+    tracks: trackCountScore(target.trackCount, candidate.total_tracks),
+  };
+  let weighted = 0;
+  let total = 0;
+  for (const [signal, weight] of Object.entries(WEIGHTS)) {
+    if (scores[signal] === null) continue;
+    weighted += scores[signal] * weight;
+    total += weight;
+  }
+  // Title and artist both have to be close; a perfect year can't rescue the wrong record
+  const confidence = Math.min(weighted / total, artist + 0.2, album + 0.2);
+  return { confidence: Number(confidence.toFixed(3)), scores };
+}
+
+/** The fields of a Spotify album shown to users and kept in reports: { id, name, artist, releaseDate, url }. */
+export function spotifyAlbumSummary(album) {
+  return {
+    id: album.id,
+    name: album.name,
+    artist: (album.artists || []).map((a) => a.name).join(', '),
+    releaseDate: album.release_date || null,
+    url: album.external_urls?.spotify || `https://open.spotify.com/album/${album.id}`,
+  };
+}
+
+function candidateSummary(album, confidence) {
+  return {
+    ...spotifyAlbumSummary(album),
+    albumType: album.album_type || null,
+    totalTracks: album.total_tracks ?? null,
+    imageUrl: album.images?.[album.images.length > 1 ? 1 : 0]?.url || null,
+    confidence,
+  };
+}
+
+/**
+ * Search Spotify for a chart entry and pick the best-scoring candidate across the fallback queries.
+ * @param {{ searchAlbums: Function }} spotifyApi - a client from spotifyClient.js (or spotify-web-api-node)
+ * @param {{ artist: string, album: string, year?: number, recordType?: string, trackCount?: number }} target
+ * @returns {Promise<{ album: object|null, confidence: number, query: string|null,
+ *   candidates: object[], reason: 'no_results'|'below_threshold'|null }>} album is null when nothing
+ *   reached the threshold; candidates are the five best (see searchAlbumCandidates)
+ */
+export async function findSpotifyAlbum(spotifyApi, target) {
+  const seen = new Map();
+  let best = null;
+  for (const query of albumSearchQueries(target.artist, target.album)) {
+    const search = await spotifyApi.searchAlbums(query, { limit: SEARCH_LIMIT });
+    for (const candidate of search?.body?.albums?.items || []) {
+      if (!candidate?.id || seen.has(candidate.id)) continue;
+      const { confidence } = scoreAlbumCandidate(target, candidate);
+      seen.set(candidate.id, candidateSummary(candidate, confidence));
+      if (!best || confidence > best.confidence) best = { album: candidate, confidence, query };
+    }
+    if (best && best.confidence >= CONFIDENT_MATCH) break;
+  }
+
+  const candidates = Array.from(seen.values()).sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+  if (!best) return { album: null, confidence: 0, query: null, candidates, reason: 'no_results' };
+  if (best.confidence < ALBUM_MATCH_THRESHOLD) {
+    return { album: null, confidence: best.confidence, query: best.query, candidates, reason: 'below_threshold' };
+  }
+  return { album: best.album, confidence: best.confidence, query: best.query, candidates, reason: null };
+}
+
+/**
+ * Every Spotify candidate for a chart entry, scored and best first, for choosing a match by hand.
+ * Runs all fallback queries, or only `query` when the user typed their own search.
+ * @returns {Promise<{ id: string, name: string, artist: string, releaseDate: string|null, url: string,
+ *   albumType: string|null, totalTracks: number|null, imageUrl: string|null, confidence: number }[]>}
+ */
+export async function searchAlbumCandidates(spotifyApi, target, query = null) {
+  const queries = query ? [query] : albumSearchQueries(target.artist, target.album);
+  const seen = new Map();
+  for (const q of queries) {
+    const search = await spotifyApi.searchAlbums(q, { limit: SEARCH_LIMIT });
+    for (const candidate of search?.body?.albums?.items || []) {
+      if (!candidate?.id || seen.has(candidate.id)) continue;
+      seen.set(candidate.id, candidateSummary(candidate, scoreAlbumCandidate(target, candidate).confidence));
+    }
+  }
+  return Array.from(seen.values()).sort((a, b) => b.confidence - a.confidence);
+}
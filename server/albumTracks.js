@@ -0,0 +1,52 @@
+import { getStorage } from './storage/index.js';
+import { aotyAlbumPath, scrapeAotyAlbumTracks } from './aoty.js';
+
+/**
+ * Per-album AOTY track ratings, cached in the aoty_album_tracks storage table by album path. Ratings
+ * barely move once an album has been out a while, so rows live for ALBUM_TRACKS_TTL_HOURS (default
+ * 30 days).
+ */
+
+const ALBUM_TRACKS_TABLE = 'aoty_album_tracks';
+const ALBUM_TRACKS_TTL_MS = (Number.parseFloat(process.env.ALBUM_TRACKS_TTL_HOURS) || 30 * 24) * 60 * 60 * 1000;
+
+async function readCachedTracks(albumPath) {
+  try {
+    return await getStorage().get(ALBUM_TRACKS_TABLE, albumPath);
+  } catch (err) {
+    console.warn('Reading cached album tracks failed:', albumPath, err.message);
+    return null;
+  }
+}
+
+async function storeTracks(albumPath, tracks) {
+  await getStorage()
+    .upsert(ALBUM_TRACKS_TABLE, { album_path: albumPath, tracks, updated_at: new Date().toISOString() })
+    .catch((err) => console.warn('Caching album tracks failed:', albumPath, err.message));
+}
+
+/**
+ * Rated tracks for an AOTY album, from the cache while fresh, otherwise scraped and stored. Albums whose
+ * page loaded without a rated track list are cached as [] too; pages that failed to load are not.
+ * @param {string} albumRef - AOTY album path or URL
+ * @returns {Promise<{ tracks: { name: string, rating: number, duration: number|null }[],
+ *   tier: string|null, cached: boolean }>} tracks highest rated first
+ */
+export async function getAlbumTracks(albumRef) {
+  const albumPath = aotyAlbumPath(albumRef);
+  if (!albumPath) return { tracks: [], tier: null, cached: false };
+
+  const row = await readCachedTracks(albumPath);
+  if (row && Date.now() - new Date(row.updated_at).getTime() < ALBUM_TRACKS_TTL_MS) {
+    return { tracks: row.tracks, tier: null, cached: true };
+  }
+
+  const { tracks, tier, loaded } = await scrapeAotyAlbumTracks(albumPath);
+  if (loaded) {
+    await storeTracks(albumPath, tracks);
+  } else if (row) {
+    // Stale ratings beat none when AOTY can't be reached
+    return { tracks: row.tracks, tier: null, cached: true };
+  }
+  return { tracks, tier, cached: false };
+}
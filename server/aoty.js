@@ -0,0 +1,342 @@
+import axios from 'axios';
+import { withPage } from './browser.js';
+import { parseAlbumDetails, parseAlbumTracks, parseChartPage, parseGenreList } from './aotyParsers.js';
+import { recordScrape, summarizeReports } from './scraperHealth.js';
+
+export const AOTY_BASE = 'https://www.albumoftheyear.org';
+
+export const DEFAULT_CHART_DEPTH = 20;
+export const MAX_CHART_DEPTH = 100;
+const SCRAPE_TIMEOUT_MS = 60000;
+const HTTP_TIMEOUT_MS = 15000;
+
+// Plain requests look like a desktop browser so the cheap tier isn't refused outright
+const HTTP_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+};
+
+// Markers of Cloudflare-style interstitials served instead of the real page
+const BOT_CHALLENGE_RE = /cf-chl|challenge-platform|cf_chl_opt|Just a moment\.\.\.|Attention Required!|captcha/i;
+
+/**
+ * Page loaders, one per tier: "http" (plain request), "playwright" (pooled headless browser) and
+ * "zenrows" (paid API). Each resolves to { status, html, challenged }; challenged is true when the
+ * response is a bot check rather than AOTY content (so the next tier should try instead).
+ */
+async function fetchHtml(url) {
+  const res = await axios.get(url, {
+    headers: HTTP_HEADERS,
+    timeout: HTTP_TIMEOUT_MS,
+    responseType: 'text',
+    validateStatus: () => true,
+  });
+  const html = typeof res.data === 'string' ? res.data : '';
+  const challenged = [403, 429, 503].includes(res.status) || BOT_CHALLENGE_RE.test(html);
+  return { status: res.status, html, challenged };
+}
+
+/** Loader bound to a pooled Playwright page. waitFor is a selector worth waiting for before reading. */
+function playwrightLoader(page, { waitFor, settleMs = 1500, timeout = 15000 } = {}) {
+  return async (url) => {
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    const status = response ? response.status() : 200;
+    if (status === 200 && waitFor) {
+      await page.waitForSelector(waitFor, { timeout: 20000, state: 'attached' }).catch(() => null);
+    }
+    await new Promise((r) => setTimeout(r, settleMs));
+    const html = await page.content();
+    return { status, html, challenged: BOT_CHALLENGE_RE.test(html) };
+  };
+}
+
+/** Loader via ZenRows, or null when ZENROWS_API_KEY is not set. */
+function zenRowsLoader() {
+  const apiKey = process.env.ZENROWS_API_KEY;
+  if (!apiKey) return null;
+  return async (url) => {
+    const params = new URLSearchParams({
+      apikey: apiKey,
+      url,
+      js_render: 'true',
+      premium_proxy: 'true',
+    });
+    const res = await axios.get(`https://api.zenrows.com/v1/?${params.toString()}`, {
+      timeout: 90000,
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+    const html = typeof res.data === 'string' ? res.data : '';
+    return { status: res.status, html, challenged: BOT_CHALLENGE_RE.test(html) };
+  };
+}
+
+// AOTY rating charts list 25 albums per page; allow one spare page in case a page comes back short
+const CHART_PAGE_SIZE = 25;
+
+function maxPages(depth) {
+  return Math.ceil(depth / CHART_PAGE_SIZE) + 1;
+}
+
+/** URL of page n of a chart: page 1 is the chart URL itself, later pages append "<n>/". */
+function chartPageUrl(url, n) {
+  return n === 1 ? url : `${url}${n}/`;
+}
+
+/**
+ * Append one page of rows to `pages`, skipping rows already seen on earlier pages.
+ * Returns false when the page added nothing new or `depth` rows are collected (stop paginating).
+ */
+function appendChartPage(pages, rows, depth) {
+  const seen = new Set(pages.flat().map(rowKey));
+  const fresh = rows.filter((row) => !seen.has(rowKey(row)));
+  if (fresh.length === 0) return false;
+  pages.push(fresh);
+  return pages.flat().length < depth;
+}
+
+function rowKey(row) {
+  return row.albumUrl || `${row.artist}\u0000${row.album}`.toLowerCase();
+}
+
+/** Stitch pages into one list with continuous ranks, cut to `depth`. */
+function rankRows(pages, depth) {
+  return pages.flat().slice(0, depth).map((row, i) => ({ ...row, rank: i + 1 }));
+}
+
+/**
+ * Read a chart through one tier's loader, following pagination until `depth` rows are collected.
+ * Returns { albums, status, challenged, reports } where status is page 1's HTTP status and reports
+ * are the parser reports of every page read.
+ */
+async function readChart(load, url, depth) {
+  const pages = [];
+  const reports = [];
+  let firstStatus = null;
+  for (let n = 1; n <= maxPages(depth); n++) {
+    const { status, html, challenged } = await load(chartPageUrl(url, n));
+    if (n === 1) firstStatus = status;
+    if (challenged) return { albums: rankRows(pages, depth), status: firstStatus, challenged: true, reports };
+    if (status !== 200) break;
+    const report = parseChartPage(html);
+    reports.push(report);
+    if (!appendChartPage(pages, report.albums, depth)) break;
+  }
+  return { albums: rankRows(pages, depth), status: firstStatus, challenged: false, reports };
+}
+
+/**
+ * Why every tier came back empty: "parser_error" when a page had album links but nothing parsed
+ * (AOTY markup changed), "not_found" when AOTY answered 404 or with a chart page that lists no
+ * albums, otherwise "blocked" (bot challenges, errors, timeouts).
+ */
+function chartFailureReason(attempts) {
+  const reports = attempts.flatMap((a) => a.reports);
+  if (reports.some((r) => r.strategy === 'none' && r.albumLinks > 0)) return 'parser_error';
+  if (attempts.some((a) => a.status === 404) || reports.some((r) => r.albumLinks === 0)) return 'not_found';
+  return 'blocked';
+}
+
+/**
+ * Tiered AOTY chart scrape: plain HTTP, then Playwright, then ZenRows; a tier escalates on a bot
+ * challenge or an empty parse. Returns { albums, tier, reason } where tier names the tier that
+ * produced the rows and reason (see chartFailureReason) is set when every tier came back empty.
+ * @param {string} chartPath - e.g. "/ratings/user-highest-rated/all/shoegaze/"
+ * @param {{ depth?: number }} [options] - number of albums to collect across chart pages
+ */
+export async function scrapeAotyChart(chartPath, { depth = DEFAULT_CHART_DEPTH } = {}) {
+  const url = `${AOTY_BASE}${chartPath}`;
+  const tiers = [
+    ['http', (read) => read(fetchHtml)],
+    ['playwright', (read) => withPage((page) => read(playwrightLoader(page, {
+      waitFor: 'a[href*="/album/"]',
+      settleMs: 2000,
+      timeout: SCRAPE_TIMEOUT_MS,
+    })))],
+    ['zenrows', (read) => {
+      const load = zenRowsLoader();
+      if (!load) {
+        console.log('ZENROWS_API_KEY not set, skipping ZenRows fallback.');
+        return null;
+      }
+      return read(load);
+    }],
+  ];
+
+  const attempts = [];
+  for (const [tier, run] of tiers) {
+    try {
+      const result = await run((load) => readChart(load, url, depth));
+      if (!result) continue;
+      attempts.push(result);
+      if (result.albums.length > 0) {
+        recordScrape('chart', {
+          ok: true, tier, url, rows: result.albums.length, ...summarizeReports(result.reports),
+        });
+        return { albums: result.albums, tier, reason: null };
+      }
+      console.log(`${tier} tier ${result.challenged ? 'hit a bot challenge' : 'parsed no albums'}, escalating...`);
+    } catch (err) {
+      console.error(`${tier} tier error:`, err.message);
+    }
+  }
+
+  const reason = chartFailureReason(attempts);
+  recordScrape('chart', {
+    ok: false, tier: null, url, rows: 0, reason, ...summarizeReports(attempts.flatMap((a) => a.reports)),
+  });
+  return { albums: [], tier: null, reason };
+}
+
+/**
+ * Run a single-page scrape through the HTTP tier, then a pooled Playwright page if the HTTP response
+ * was a challenge or parsed empty. parse(html) returns a parser report; items(report) its rows.
+ * Returns { report, tier } (tier null when both tiers came back empty; report null if neither loaded).
+ */
+async function scrapeSinglePage(pageType, url, parse, items) {
+  let lastReport = null;
+  try {
+    const { status, html, challenged } = await fetchHtml(url);
+    if (!challenged && status === 200) {
+      lastReport = parse(html);
+      if (items(lastReport).length > 0) return { report: lastReport, tier: 'http' };
+    }
+  } catch (err) {
+    console.warn(`${pageType} HTTP tier failed:`, url, err.message);
+  }
+
+  try {
+    const { status, html, challenged } = await withPage((page) => playwrightLoader(page)(url));
+    if (!challenged && status === 200) {
+      lastReport = parse(html);
+      if (items(lastReport).length > 0) return { report: lastReport, tier: 'playwright' };
+    }
+  } catch (err) {
+    console.warn(`${pageType} Playwright tier failed:`, url, err.message);
+  }
+  return { report: lastReport, tier: null };
+}
+
+// Album pages change slowly; keep each parsed page in memory for a day (bounded, oldest evicted first)
+const ALBUM_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const ALBUM_CACHE_MAX = 500;
+const albumCache = new Map();
+
+/**
+ * Normalize an AOTY album reference (path or full albumoftheyear.org URL) to its "/album/....php"
+ * path, or null when it is not an AOTY album page.
+ */
+export function aotyAlbumPath(albumRef) {
+  if (!albumRef || typeof albumRef !== 'string') return null;
+  let ref = albumRef.trim();
+  if (ref.startsWith(AOTY_BASE)) ref = ref.slice(AOTY_BASE.length);
+  if (!ref.startsWith('/')) ref = `/${ref}`;
+  return /^\/album\/[^/?#\s]+\.php$/.test(ref) ? ref : null;
+}
+
+/** Tracks and header details parsed from one album page load. */
+function parseAlbumPage(html) {
+  const tracks = parseAlbumTracks(html);
+  const details = parseAlbumDetails(html);
+  return {
+    tracks: tracks.tracks,
+    details: details.details,
+    strategy: tracks.strategy,
+    anomalies: [...tracks.anomalies, ...details.anomalies],
+  };
+}
+
+/**
+ * Scrape one AOTY album page for both its rated track list and its header details, served from the
+ * in-memory album cache when fresh. loaded is false when no tier could load the page; such results
+ * are not cached.
+ * @returns {Promise<{ tracks: { name: string, rating: number, duration: number|null }[],
+ *   details: object|null, tier: string|null, loaded: boolean, cached: boolean }>}
+ */
+async function scrapeAotyAlbum(albumPath) {
+  const cachedEntry = albumCache.get(albumPath);
+  if (cachedEntry && Date.now() - cachedEntry.at < ALBUM_CACHE_TTL_MS) {
+    return { ...cachedEntry.value, cached: true };
+  }
+
+  const url = `${AOTY_BASE}${albumPath}`;
+  const { report, tier } = await scrapeSinglePage(
+    'album',
+    url,
+    parseAlbumPage,
+    (r) => (r.details ? [...r.tracks, r.details] : r.tracks),
+  );
+  const value = {
+    tracks: tier ? report.tracks : [],
+    details: report?.details ?? null,
+    tier,
+    loaded: Boolean(report),
+  };
+  // An album page without a rated track list is normal (new or obscure releases), so only a page
+  // that never loaded counts as a failure
+  recordScrape('album', {
+    ok: Boolean(report),
+    tier,
+    url,
+    rows: value.tracks.length,
+    strategy: report?.strategy ?? null,
+    anomalies: report?.anomalies ?? [],
+    reason: report ? null : 'blocked',
+  });
+  if (report) {
+    albumCache.delete(albumPath);
+    albumCache.set(albumPath, { value, at: Date.now() });
+    if (albumCache.size > ALBUM_CACHE_MAX) albumCache.delete(albumCache.keys().next().value);
+  }
+  return { ...value, cached: false };
+}
+
+/**
+ * Scrape track list from a single AOTY album page, ordered by user rating (most popular first).
+ * Uses the track list table: col 1 = #, col 2 = "TrackName" + "Duration", col 3 = rating.
+ * Tries a plain HTTP fetch first and only opens a browser page on a bot challenge or an empty parse.
+ * @param {string} albumPath - e.g. "/album/224348-fiona-apple-fetch-the-bolt-cutters.php"
+ * @returns {Promise<{ tracks: { name: string, rating: number, duration: number|null }[],
+ *   tier: string|null, loaded: boolean }>} Tracks in order of AOTY rating (highest first), or [] if
+ *   unavailable; tier is the tier that served them and loaded whether the page loaded at all.
+ */
+export async function scrapeAotyAlbumTracks(albumPath) {
+  const pathNorm = aotyAlbumPath(albumPath);
+  if (!pathNorm) return { tracks: [], tier: null, loaded: false };
+  const { tracks, tier, loaded } = await scrapeAotyAlbum(pathNorm);
+  return { tracks, tier, loaded };
+}
+
+/**
+ * Album header details from the same page load as the track list: release year, cover URL, user and
+ * critic score, rating count, record type and AOTY genres (see parseAlbumDetails).
+ * @param {string} albumPath - AOTY album path or URL
+ * @returns {Promise<{ details: object|null, tier: string|null, cached: boolean }>}
+ */
+export async function scrapeAotyAlbumDetails(albumPath) {
+  const pathNorm = aotyAlbumPath(albumPath);
+  if (!pathNorm) return { details: null, tier: null, cached: false };
+  const { details, tier, cached } = await scrapeAotyAlbum(pathNorm);
+  return { details, tier, cached };
+}
+
+/**
+ * Scrape AOTY genre.php for all genre links, plain HTTP first and Playwright on a challenge or empty parse.
+ * Returns { genres, tier } where genres are { name, slug, id, parent }[] (see parseGenreList).
+ */
+export async function fetchAotyGenres() {
+  const url = `${AOTY_BASE}/genre.php`;
+  const { report, tier } = await scrapeSinglePage('genres', url, parseGenreList, (r) => r.genres);
+  const genres = tier ? report.genres : [];
+  recordScrape('genres', {
+    ok: genres.length > 0,
+    tier,
+    url,
+    rows: genres.length,
+    strategy: report?.strategy ?? null,
+    anomalies: report?.anomalies ?? [],
+    reason: genres.length > 0 ? null : (report ? 'parser_error' : 'blocked'),
+  });
+  return { genres, tier };
+}
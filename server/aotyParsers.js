@@ -0,0 +1,258 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Pure parsers for AOTY pages. Each takes a page's HTML string, so the HTTP, Playwright and ZenRows
+ * tiers all share one implementation (and the parsers can be tested against saved fixtures).
+ *
+ * Every parser also reports how it read the page: `strategy` names the extraction that matched
+ * ("none" when nothing did) and `anomalies` lists { type, count } oddities such as blank fields,
+ * so selector drift on AOTY shows up in scraper health instead of as a silent empty list.
+ */
+
+const ROW_CONTAINER = 'li, tr, [class*="album"], [class*="row"], div';
+
+function slugToDisplayName(slug) {
+  return slug
+    .split('-')
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/** Append { type, count } when count is non-zero. */
+function addAnomaly(anomalies, type, count) {
+  if (count > 0) anomalies.push({ type, count });
+}
+
+/** Album link for a chart entry: the link wrapping the title, else the first album link in its row. */
+function albumUrlFor($, el, container) {
+  const wrapping = $(el).closest('a[href*="/album/"]');
+  if (wrapping.length) return wrapping.attr('href') || null;
+  return container.find('a[href*="/album/"]').first().attr('href') || null;
+}
+
+/**
+ * Parse one chart page. Returns { albums, strategy, anomalies, albumLinks } where albums are
+ * { rank, artist, album, albumUrl }[] (ranks are 1-based within the page) and albumLinks counts the
+ * page's `/album/` links — a page with album links but no parsed rows means the markup changed.
+ *
+ * Strategies: "title-blocks" pairs each `.albumTitle` with the `.artistTitle` in its row (falling back
+ * to the same index); "album-links" reads `a[href*="/album/"]` links whose text is "Artist - Album".
+ */
+export function parseChartPage(html) {
+  const $ = cheerio.load(html);
+  const albumEls = $('.albumTitle').toArray();
+  const artistEls = $('.artistTitle').toArray();
+  const albumLinks = $('a[href*="/album/"]').length;
+  const anomalies = [];
+
+  if (albumEls.length > 0 || artistEls.length > 0) {
+    const byAlbum = albumEls.length >= artistEls.length;
+    const primary = byAlbum ? albumEls : artistEls;
+    const other = byAlbum ? artistEls : albumEls;
+    const otherSelector = byAlbum ? '.artistTitle' : '.albumTitle';
+    const albums = primary
+      .map((el, i) => {
+        const text = $(el).text().trim();
+        const container = $(el).parent().closest(ROW_CONTAINER);
+        const pairedText = container.find(otherSelector).first().text().trim() || $(other[i]).text().trim();
+        const albumUrl = albumUrlFor($, byAlbum ? el : container.find('.albumTitle').first(), container);
+        return byAlbum
+          ? { artist: pairedText, album: text, albumUrl }
+          : { artist: text, album: pairedText, albumUrl };
+      })
+      .filter(({ artist, album }) => artist || album)
+      .map((row, i) => ({ rank: i + 1, ...row }));
+
+    addAnomaly(anomalies, 'title-count-mismatch', Math.abs(albumEls.length - artistEls.length));
+    addAnomaly(anomalies, 'blank-artist', albums.filter((a) => !a.artist).length);
+    addAnomaly(anomalies, 'blank-album', albums.filter((a) => !a.album).length);
+    addAnomaly(anomalies, 'missing-album-url', albums.filter((a) => !a.albumUrl).length);
+    return { albums, strategy: albums.length > 0 ? 'title-blocks' : 'none', anomalies, albumLinks };
+  }
+
+  const albums = $('a[href*="/album/"]').toArray()
+    .map((a) => {
+      const text = $(a).text().trim();
+      const idx = text.indexOf(' - ');
+      if (idx <= 0) return null;
+      return {
+        artist: text.slice(0, idx).trim(),
+        album: text.slice(idx + 3).trim(),
+        albumUrl: $(a).attr('href') || null,
+      };
+    })
+    .filter((row) => row && (row.artist || row.album))
+    .map((row, i) => ({ rank: i + 1, ...row }));
+
+  addAnomaly(anomalies, 'blank-album', albums.filter((a) => !a.album).length);
+  return { albums, strategy: albums.length > 0 ? 'album-links' : 'none', anomalies, albumLinks };
+}
+
+/** "4:46" (or "1:02:10") to seconds, or null. */
+function parseDuration(text) {
+  const match = (text || '').match(/(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Parse an album page's track table. Returns { tracks, strategy, anomalies } where tracks are
+ * { name, rating, duration }[] (duration in seconds, null if not shown), highest AOTY user rating first
+ * ([] if the page has no rated track list).
+ * Table columns: 1 = #, 2 = "TrackName" + "Duration", 3 = rating.
+ */
+export function parseAlbumTracks(html) {
+  const $ = cheerio.load(html);
+  for (const table of $('table').toArray()) {
+    const parsed = $(table).find('tr').toArray()
+      .map((tr) => $(tr).find('td').toArray().map((td) => $(td).text().trim()))
+      .filter((row) => row.length >= 3);
+    if (parsed.length < 2) continue;
+    const withRating = [];
+    let blankNames = 0;
+    for (const row of parsed) {
+      const rating = parseInt(row[2], 10);
+      if (Number.isNaN(rating) || rating < 0 || rating > 100) continue;
+      const cell = row[1] || '';
+      const name = cell.replace(/(?:\d+:)?\d{1,2}:\d{2}$/, '').trim();
+      if (!name) {
+        blankNames++;
+        continue;
+      }
+      withRating.push({ name, rating, duration: parseDuration(cell) });
+    }
+    if (withRating.length >= 2) {
+      withRating.sort((a, b) => b.rating - a.rating);
+      const anomalies = [];
+      addAnomaly(anomalies, 'blank-track-name', blankNames);
+      addAnomaly(anomalies, 'unrated-tracks', parsed.length - withRating.length - blankNames);
+      return { tracks: withRating, strategy: 'rating-table', anomalies };
+    }
+  }
+  return { tracks: [], strategy: 'none', anomalies: [] };
+}
+
+function parseScore(text) {
+  const n = Number.parseInt((text || '').trim(), 10);
+  return Number.isInteger(n) && n >= 0 && n <= 100 ? n : null;
+}
+
+/** The album page's detail rows ("May 17, 1993 / Release Date") as a Map of label -> row element. */
+function detailRows($) {
+  const rows = new Map();
+  $('.detailRow').each((i, el) => {
+    const label = $(el).children('span').last().text().replace(/^\s*\/\s*/, '').trim();
+    if (label && !rows.has(label)) rows.set(label, $(el));
+  });
+  return rows;
+}
+
+/** Text of a detail row without its trailing "/ Label" span. */
+function detailValue(row) {
+  if (!row) return '';
+  const clone = row.clone();
+  clone.children('span').last().remove();
+  return clone.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse an album page's header. Returns { details, strategy, anomalies } where details is
+ * { title, artist, year, coverUrl, userScore, criticScore, ratingCount, recordType, genres } (fields
+ * null when absent, genres { slug, name }[]) or null when the page has no album header at all.
+ * Strategy "album-header" reads the title/score boxes and the "/ Label" detail rows.
+ */
+export function parseAlbumDetails(html) {
+  const $ = cheerio.load(html);
+  const title = $('.albumTitle [itemprop="name"], .albumTitle').first().text().trim() || null;
+  const rows = detailRows($);
+  if (!title && rows.size === 0) return { details: null, strategy: 'none', anomalies: [] };
+
+  const artist = $('.artist [itemprop="name"], .artist a').first().text().trim() || null;
+  const coverUrl = $('.albumTopBox.cover img').first().attr('src')
+    || $('meta[property="og:image"]').attr('content')
+    || null;
+  const yearMatch = detailValue(rows.get('Release Date')).match(/\b(19|20)\d{2}\b/);
+  const ratingCount = Number.parseInt(
+    ($('meta[itemprop="ratingCount"]').attr('content') || $('.albumUserScoreBox .numReviews strong').first().text())
+      .replace(/[^\d]/g, ''),
+    10,
+  );
+  const genres = [];
+  rows.get('Genre')?.find('a[href*="/genre/"]').each((i, a) => {
+    const match = ($(a).attr('href') || '').match(/\/genre\/\d+-([^/]+)\/?$/);
+    if (match) genres.push({ slug: match[1], name: $(a).text().trim() || slugToDisplayName(match[1]) });
+  });
+
+  const details = {
+    title,
+    artist,
+    year: yearMatch ? Number(yearMatch[0]) : null,
+    coverUrl,
+    userScore: parseScore($('.albumUserScore').first().text()),
+    criticScore: parseScore($('.albumCriticScore').first().text()),
+    ratingCount: Number.isInteger(ratingCount) ? ratingCount : null,
+    recordType: detailValue(rows.get('Format')) || null,
+    genres,
+  };
+
+  const anomalies = [];
+  addAnomaly(anomalies, 'missing-title', title ? 0 : 1);
+  addAnomaly(anomalies, 'missing-year', details.year ? 0 : 1);
+  addAnomaly(anomalies, 'missing-cover', coverUrl ? 0 : 1);
+  return { details, strategy: 'album-header', anomalies };
+}
+
+/**
+ * Parse genre.php. Returns { genres, strategy, anomalies } where genres are
+ * { name, slug, id, parent }[] in page order (first link per slug wins). id is AOTY's numeric genre id
+ * and parent the slug of the enclosing genre, or null for top-level genres.
+ *
+ * The page is a flat run of headings and links: an H1 opens a top-level genre and an H2 a subgenre of
+ * it, each followed by a "View More" link to the heading's own genre page; plain links after that are
+ * children of the nearest heading genre.
+ */
+export function parseGenreList(html) {
+  const $ = cheerio.load(html);
+  const seen = new Set();
+  const genres = [];
+  let unnamed = 0;
+  let lastHeading = null;
+  let topSlug = null;
+  let subSlug = null;
+  $('h1, h2, a[href*="/genre/"]').each((i, el) => {
+    if (el.tagName === 'h1' || el.tagName === 'h2') {
+      lastHeading = { level: el.tagName === 'h1' ? 1 : 2, text: $(el).text().trim() };
+      if (lastHeading.level === 1) topSlug = null;
+      subSlug = null;
+      return;
+    }
+    const href = $(el).attr('href') || '';
+    const match = href.match(/\/genre\/(\d+)-([^/]+)\/?$/);
+    if (!match) return;
+    const id = Number(match[1]);
+    const slug = match[2];
+    let name = $(el).text().trim();
+    const headingLink = name === 'View More' || !name;
+    let parent = subSlug || topSlug;
+    if (headingLink && lastHeading) {
+      name = lastHeading.text;
+      if (lastHeading.level === 1) {
+        parent = null;
+        topSlug = slug;
+      } else {
+        parent = topSlug;
+        subSlug = slug;
+      }
+    } else if (headingLink) {
+      name = '';
+    }
+    if (seen.has(slug)) return;
+    if (!name) unnamed++;
+    seen.add(slug);
+    genres.push({ slug, name: name || slugToDisplayName(slug), id, parent });
+  });
+
+  const anomalies = [];
+  addAnomaly(anomalies, 'unnamed-genre', unnamed);
+  return { genres, strategy: genres.length > 0 ? 'genre-links' : 'none', anomalies };
+}
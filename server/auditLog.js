@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Append-only log of admin actions (the admin_audit_log storage table). Writing is best effort: a
+ * storage failure is logged but never fails the admin action itself.
+ */
+
+const AUDIT_TABLE = 'admin_audit_log';
+
+/**
+ * Record one admin action.
+ * @param {import('express').Request} req - for the caller's IP and user agent
+ * @param {string} action - e.g. "chart.refresh"
+ * @param {{ target?: string|null, details?: object }} [entry]
+ */
+export async function recordAdminAction(req, action, { target = null, details = {} } = {}) {
+  const row = {
+    id: crypto.randomUUID(),
+    action,
+    target,
+    details,
+    ip: req.ip || null,
+    user_agent: req.get('user-agent') || null,
+    created_at: new Date().toISOString(),
+  };
+  console.log(`Admin ${action}${target ? ` ${target}` : ''}`);
+  await getStorage().upsert(AUDIT_TABLE, row)
+    .catch((err) => console.error('Writing admin audit log failed:', err.message));
+}
+
+/** The most recent admin actions, newest first. */
+export function listAdminActions(limit = 100) {
+  return getStorage().recent(AUDIT_TABLE, 'created_at', limit);
+}
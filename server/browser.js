@@ -0,0 +1,105 @@
+import { chromium } from 'playwright-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+
+chromium.use(StealthPlugin());
+
+// Shared Playwright launch options — always headless + no-sandbox in production (required for Railway/Linux)
+const PLAYWRIGHT_LAUNCH_OPTS = {
+  headless: true,
+  args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+};
+
+// Pool limits: pages open at once, and how long the browser may sit idle before it is closed
+const BROWSER_MAX_PAGES = Number.parseInt(process.env.BROWSER_MAX_PAGES, 10) || 3;
+const BROWSER_IDLE_TIMEOUT_MS = Number.parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * One long-lived Chromium shared by all scrapers. Each lease gets its own browser context + page
+ * (isolated cookies), at most BROWSER_MAX_PAGES at a time; extra callers wait in FIFO order.
+ * A crashed/disconnected browser is relaunched on the next lease; an idle one is closed after the timeout.
+ */
+let browserPromise = null;
+let activePages = 0;
+let idleTimer = null;
+let shuttingDown = false;
+const waiters = [];
+
+function getBrowser() {
+  if (!browserPromise) {
+    const launching = chromium.launch(PLAYWRIGHT_LAUNCH_OPTS).then((browser) => {
+      browser.on('disconnected', () => {
+        // Only forget the instance that died; a newer one may already be running
+        if (browserPromise === launching) browserPromise = null;
+        console.warn('Playwright browser disconnected; a new one will be launched on next use.');
+      });
+      return browser;
+    });
+    launching.catch(() => {
+      if (browserPromise === launching) browserPromise = null;
+    });
+    browserPromise = launching;
+  }
+  return browserPromise;
+}
+
+async function closeBrowser() {
+  const pending = browserPromise;
+  browserPromise = null;
+  if (!pending) return;
+  const browser = await pending.catch(() => null);
+  if (browser) await browser.close().catch(() => {});
+}
+
+function acquireSlot() {
+  if (shuttingDown) return Promise.reject(new Error('Browser pool is shutting down'));
+  clearTimeout(idleTimer);
+  if (activePages < BROWSER_MAX_PAGES) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+}
+
+function releaseSlot() {
+  const next = waiters.shift();
+  if (next) {
+    next.resolve();
+    return;
+  }
+  activePages--;
+  if (activePages === 0) {
+    idleTimer = setTimeout(() => {
+      console.log('Closing idle Playwright browser.');
+      closeBrowser();
+    }, BROWSER_IDLE_TIMEOUT_MS);
+    idleTimer.unref();
+  }
+}
+
+/**
+ * Run fn(page) on a pooled page and always release it. Resolves to fn's result.
+ * @param {(page: import('playwright').Page) => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withPage(fn) {
+  await acquireSlot();
+  let context;
+  try {
+    const browser = await getBrowser();
+    context = await browser.newContext();
+    const page = await context.newPage();
+    return await fn(page);
+  } finally {
+    if (context) await context.close().catch(() => {});
+    releaseSlot();
+  }
+}
+
+/** Close the shared browser and reject queued leases. Safe to call more than once. */
+export async function shutdownBrowserPool() {
+  shuttingDown = true;
+  clearTimeout(idleTimer);
+  for (const waiter of waiters.splice(0)) waiter.reject(new Error('Browser pool is shutting down'));
+  await closeBrowser();
+}
@@ -0,0 +1,201 @@
+import { getStorage } from './storage/index.js';
+import { DEFAULT_CHART_DEPTH } from './aoty.js';
+import { DEFAULT_CHART_SOURCE, getChartData, getChartSource } from './chartSources/index.js';
+import { periodKey } from './chartPeriod.js';
+import { enqueueScrape } from './scrapeQueue.js';
+
+/**
+ * Chart cache (the rym_charts_cache storage table) with stale-while-revalidate: rows older than
+ * CHART_CACHE_TTL_MS are still served, flagged stale, while a background scrape replaces them. A failed
+ * refresh leaves the stale row in place. Genres listed in CHART_REFRESH_SCHEDULE are refreshed ahead
+ * of expiry.
+ */
+
+export const CHART_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled genres are refreshed a little before the cache TTL so users never see them expire
+const DEFAULT_REFRESH_INTERVAL_MS = 20 * 60 * 60 * 1000;
+const REFRESH_RETRY_MS = 15 * 60 * 1000;
+const SCHEDULE_TICK_MS = 60 * 1000;
+
+/**
+ * Cache key for rym_charts_cache: one row per chart source + genre + period
+ * (e.g. "aoty-user:shoegaze", "aoty-user:shoegaze:1990-1999").
+ */
+export function chartCacheKey(sourceId, genreKey, period) {
+  const key = `${sourceId}:${genreKey}`;
+  return period ? `${key}:${periodKey(period)}` : key;
+}
+
+/**
+ * Split a cache key back into { sourceId, genre, period } (period null for all time). Keys from before
+ * chart sources (the bare genre; see migration 008) come back with sourceId null.
+ */
+export function parseChartCacheKey(cacheKey) {
+  if (!cacheKey.includes(':')) return { sourceId: null, genre: cacheKey, period: null };
+  const [sourceId, genre, range] = cacheKey.split(':');
+  const years = range?.match(/^(\d{4})-(\d{4})$/);
+  return {
+    sourceId,
+    genre: genre || null,
+    period: years ? { from: Number(years[1]), to: Number(years[2]) } : null,
+  };
+}
+
+/**
+ * Every cached chart as { key, sourceId, genre, period, rows, depth, updatedAt, ageSeconds, stale },
+ * oldest first.
+ */
+export async function listCachedCharts() {
+  const rows = await getStorage().list('rym_charts_cache');
+  return rows
+    .map((row) => {
+      const updatedAt = new Date(row.updated_at || row.created_at);
+      const ageMs = Date.now() - updatedAt.getTime();
+      return {
+        key: row.genre,
+        ...parseChartCacheKey(row.genre),
+        rows: Array.isArray(row.data) ? row.data.length : 0,
+        depth: row.depth ?? DEFAULT_CHART_DEPTH,
+        updatedAt: updatedAt.toISOString(),
+        ageSeconds: Math.round(ageMs / 1000),
+        stale: ageMs >= CHART_CACHE_TTL_MS,
+      };
+    })
+    .sort((a, b) => b.ageSeconds - a.ageSeconds);
+}
+
+/** Delete one cached chart. Resolves to whether a row was removed. */
+export function deleteCachedChart(cacheKey) {
+  return getStorage().remove('rym_charts_cache', cacheKey);
+}
+
+/**
+ * The cached row for a key as { data, depth, updatedAt, ageMs, stale }, or null when there is none.
+ * Rows cached before the depth column existed were 20 deep.
+ */
+export async function readCachedChart(cacheKey) {
+  let data;
+  try {
+    data = await getStorage().get('rym_charts_cache', cacheKey);
+  } catch (err) {
+    console.error('Error checking cache:', err.message);
+    return null;
+  }
+  if (!data || !data.data) return null;
+  const updatedAt = new Date(data.updated_at || data.created_at);
+  const ageMs = Date.now() - updatedAt.getTime();
+  return {
+    data: data.data,
+    depth: data.depth ?? DEFAULT_CHART_DEPTH,
+    updatedAt,
+    ageMs,
+    stale: ageMs >= CHART_CACHE_TTL_MS,
+  };
+}
+
+/**
+ * Scrape a chart and, for cacheable sources, upsert it into the cache. Cacheable sources go through
+ * the single-flight scrape queue (see scrapeQueue.js); others (local files) are read directly.
+ * Resolves to { albums, tier, reason, fetchedAt }.
+ * @returns {{ state: 'queued'|'running'|'done', promise: Promise<object> }} the scrape job
+ */
+export function refreshChart({ sourceId, genreSlug, cacheKey, period = null, depth }) {
+  const source = getChartSource(sourceId);
+  const scrape = async () => {
+    const chart = await getChartData(sourceId, genreSlug, { period, depth });
+    if (source.cacheable && chart.albums?.length > 0) {
+      await getStorage().upsert('rym_charts_cache', {
+        genre: cacheKey,
+        data: chart.albums,
+        depth,
+        updated_at: new Date().toISOString(),
+      }).catch((err) => console.error('Error caching chart:', err.message));
+    }
+    return { ...chart, fetchedAt: new Date().toISOString() };
+  };
+  return source.cacheable
+    ? enqueueScrape(cacheKey, scrape, { depth })
+    : { state: 'running', promise: scrape() };
+}
+
+/** "6h", "90m", "1d" or a bare number of hours to milliseconds; null if unparseable. */
+function parseInterval(text) {
+  const match = (text || '').trim().match(/^(\d+(?:\.\d+)?)\s*([mhd]?)$/i);
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[(match[2] || 'h').toLowerCase()];
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Parse CHART_REFRESH_SCHEDULE: comma-separated "[source:]genre[=interval]" entries, e.g.
+ * "shoegaze=6h, hip-hop, aoty-critic:jazz=1d". Genres are slugs; the interval defaults to 20h.
+ */
+export function parseRefreshSchedule(text) {
+  return (text || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .flatMap((entry) => {
+      const [target, interval] = entry.split('=');
+      const [sourceId, genre] = target.includes(':')
+        ? target.split(':').map((s) => s.trim())
+        : [DEFAULT_CHART_SOURCE, target.trim()];
+      const intervalMs = interval === undefined ? DEFAULT_REFRESH_INTERVAL_MS : parseInterval(interval);
+      if (!genre || !getChartSource(sourceId)?.cacheable || !intervalMs) {
+        console.warn(`Ignoring chart refresh schedule entry "${entry}"`);
+        return [];
+      }
+      return [{ sourceId, genre: genre.toLowerCase(), intervalMs, nextCheckAt: 0 }];
+    });
+}
+
+let scheduleTimer = null;
+
+/** Check each scheduled chart whose time has come; refresh it if its cache row is missing or old. */
+async function runScheduledRefreshes(schedule) {
+  for (const entry of schedule) {
+    if (Date.now() < entry.nextCheckAt) continue;
+    const cacheKey = chartCacheKey(entry.sourceId, entry.genre, null);
+    try {
+      const cached = await readCachedChart(cacheKey);
+      if (cached && cached.ageMs < entry.intervalMs) {
+        entry.nextCheckAt = cached.updatedAt.getTime() + entry.intervalMs;
+        continue;
+      }
+      console.log(`Scheduled refresh of ${cacheKey}`);
+      const { albums } = await refreshChart({
+        sourceId: entry.sourceId,
+        genreSlug: entry.genre,
+        cacheKey,
+        depth: Math.max(cached?.depth ?? 0, DEFAULT_CHART_DEPTH),
+      }).promise;
+      entry.nextCheckAt = Date.now() + (albums?.length > 0 ? entry.intervalMs : REFRESH_RETRY_MS);
+    } catch (err) {
+      console.error(`Scheduled refresh of ${cacheKey} failed:`, err.message);
+      entry.nextCheckAt = Date.now() + REFRESH_RETRY_MS;
+    }
+  }
+}
+
+/** Start refreshing the charts in CHART_REFRESH_SCHEDULE in the background. Returns the entry count. */
+export function startChartRefreshSchedule() {
+  const schedule = parseRefreshSchedule(process.env.CHART_REFRESH_SCHEDULE);
+  if (schedule.length === 0 || scheduleTimer) return schedule.length;
+  let running = false;
+  const tick = () => {
+    if (running) return;
+    running = true;
+    runScheduledRefreshes(schedule).finally(() => { running = false; });
+  };
+  scheduleTimer = setInterval(tick, SCHEDULE_TICK_MS);
+  scheduleTimer.unref();
+  tick();
+  return schedule.length;
+}
+
+/** Stop the refresh schedule (on shutdown). */
+export function stopChartRefreshSchedule() {
+  clearInterval(scheduleTimer);
+  scheduleTimer = null;
+}
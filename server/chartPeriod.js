@@ -0,0 +1,77 @@
+/**
+ * Year-scoped chart periods. A period is { from, to } (inclusive years); null means all time.
+ * AOTY rating charts exist per year, so a period maps to one chart URL per year.
+ */
+
+const FIRST_YEAR = 1900;
+const MAX_PERIOD_YEARS = 30;
+
+function parseYear(value) {
+  const s = String(value).trim();
+  if (!/^\d{4}$/.test(s)) return null;
+  const year = Number.parseInt(s, 10);
+  return year >= FIRST_YEAR && year <= new Date().getFullYear() ? year : null;
+}
+
+/** Parse a decade like "1990s", "1990", "90s" or "90" to its first year (1990). */
+function parseDecade(value) {
+  const s = String(value).trim().toLowerCase().replace(/'/g, '').replace(/s$/, '');
+  if (/^\d{4}$/.test(s) && s.endsWith('0')) return parseYear(s);
+  if (/^\d{2}$/.test(s) && s.endsWith('0')) {
+    const yy = Number.parseInt(s, 10);
+    return (yy >= 30 ? 1900 : 2000) + yy;
+  }
+  return null;
+}
+
+/**
+ * Build a period from year / decade / from+to options (query string or request body).
+ * Returns { period } (period null when no option is set) or { error } with a user-facing message.
+ */
+export function parseChartPeriod({ year, decade, from, to } = {}) {
+  const given = [year, decade, from ?? to].filter((v) => v !== undefined && v !== null && v !== '');
+  if (given.length === 0) return { period: null };
+  if (given.length > 1) return { error: 'Use only one of year, decade or from/to' };
+
+  if (year !== undefined && year !== null && year !== '') {
+    const y = parseYear(year);
+    return y ? { period: { from: y, to: y } } : { error: `Invalid year "${year}"` };
+  }
+
+  if (decade !== undefined && decade !== null && decade !== '') {
+    const start = parseDecade(decade);
+    if (!start) return { error: `Invalid decade "${decade}" (e.g. 1990s or 90s)` };
+    return { period: { from: start, to: Math.min(start + 9, new Date().getFullYear()) } };
+  }
+
+  if (from === undefined || from === null || from === '') return { error: 'to requires a from year' };
+  const start = parseYear(from);
+  if (!start) return { error: `Invalid from year "${from}"` };
+  const end = to === undefined || to === null || to === '' ? new Date().getFullYear() : parseYear(to);
+  if (!end) return { error: `Invalid to year "${to}"` };
+  if (end < start) return { error: 'from must not be after to' };
+  if (end - start + 1 > MAX_PERIOD_YEARS) return { error: `Periods are limited to ${MAX_PERIOD_YEARS} years` };
+  return { period: { from: start, to: end } };
+}
+
+/** Years covered by a period, oldest first. */
+export function periodYears(period) {
+  const years = [];
+  for (let y = period.from; y <= period.to; y++) years.push(y);
+  return years;
+}
+
+/** Cache-key suffix for a period ("1990-1999"), or "all". */
+export function periodKey(period) {
+  return period ? `${period.from}-${period.to}` : 'all';
+}
+
+/** Human label: "2015", "1990s" for a whole decade, otherwise "2015–2020". Empty for all time. */
+export function periodLabel(period) {
+  if (!period) return '';
+  if (period.from === period.to) return String(period.from);
+  const thisYear = new Date().getFullYear();
+  const wholeDecade = period.to === period.from + 9 || (period.to === thisYear && thisYear < period.from + 9);
+  if (period.from % 10 === 0 && wholeDecade) return `${period.from}s`;
+  return `${period.from}–${period.to}`;
+}
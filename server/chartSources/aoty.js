@@ -0,0 +1,71 @@
+import { registerChartSource } from './registry.js';
+import { DEFAULT_CHART_DEPTH, scrapeAotyChart } from '../aoty.js';
+import { periodYears } from '../chartPeriod.js';
+
+// Scrape tiers from cheapest to most expensive
+const TIER_COST = ['http', 'playwright', 'zenrows'];
+
+/**
+ * Merge per-year charts into one list: interleave by per-year rank (every year's #1, then every #2, …),
+ * drop albums already taken, and renumber ranks from 1.
+ */
+function mergeYearCharts(charts, limit) {
+  const merged = [];
+  const seen = new Set();
+  const depth = Math.max(0, ...charts.map((c) => c.length));
+  for (let i = 0; i < depth && merged.length < limit; i++) {
+    for (const chart of charts) {
+      const row = chart[i];
+      if (!row) continue;
+      const key = row.albumUrl || `${row.artist}\u0000${row.album}`.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push({ ...row, rank: merged.length + 1 });
+      if (merged.length >= limit) break;
+    }
+  }
+  return merged;
+}
+
+/**
+ * AOTY ratings chart for a genre, optionally scoped to a period. AOTY publishes one chart per year
+ * ("/ratings/<chart>/<year>/<genre>/"), so multi-year periods scrape each year and merge.
+ */
+async function fetchAotyRatings(chart, genreSlug, { period, depth = DEFAULT_CHART_DEPTH } = {}) {
+  if (!period) return scrapeAotyChart(`/ratings/${chart}/all/${genreSlug}/`, { depth });
+
+  // Interleaving takes an equal share from each year, so no year needs more than that share
+  const years = periodYears(period);
+  const perYear = Math.ceil(depth / years.length);
+  const charts = [];
+  const reasons = new Set();
+  let tier = null;
+  for (const year of years) {
+    const result = await scrapeAotyChart(`/ratings/${chart}/${year}/${genreSlug}/`, { depth: perYear });
+    charts.push(result.albums);
+    if (result.reason) reasons.add(result.reason);
+    // Report the most expensive tier any year needed
+    if (TIER_COST.indexOf(result.tier) > TIER_COST.indexOf(tier)) tier = result.tier;
+  }
+  const albums = mergeYearCharts(charts, depth);
+  if (albums.length > 0) return { albums, tier, reason: null };
+  // Years with no chart are expected; a broken parser or a block in any year is the better explanation
+  const reason = ['parser_error', 'blocked'].find((r) => reasons.has(r)) || 'not_found';
+  return { albums, tier, reason };
+}
+
+registerChartSource({
+  id: 'aoty-user',
+  label: 'AOTY user ratings',
+  supportsPeriod: true,
+  aotyGenres: true,
+  fetchChart: (genreSlug, options) => fetchAotyRatings('user-highest-rated', genreSlug, options),
+});
+
+registerChartSource({
+  id: 'aoty-critic',
+  label: 'AOTY critic ratings',
+  supportsPeriod: true,
+  aotyGenres: true,
+  fetchChart: (genreSlug, options) => fetchAotyRatings('6-highest-rated', genreSlug, options),
+});
@@ -0,0 +1,21 @@
+import { getChartSource } from './registry.js';
+
+// Built-in sources register themselves on import
+import './aoty.js';
+import './localFile.js';
+
+export { DEFAULT_CHART_SOURCE, getChartSource, listChartSources, registerChartSource } from './registry.js';
+
+/**
+ * Fetch a genre chart from the given source. Returns { albums, tier, reason }; reason says why albums is
+ * empty (see registry.js) and is null otherwise.
+ * Throws if the source id is not registered.
+ */
+export async function getChartData(sourceId, genreSlug, options = {}) {
+  const source = getChartSource(sourceId);
+  if (!source) throw new Error(`Unknown chart source: ${sourceId}`);
+  if (options.period && !source.supportsPeriod) throw new Error(`Chart source ${sourceId} has no year filters`);
+  const { albums, tier = null, reason = null } = await source.fetchChart(genreSlug, options);
+  const list = Array.isArray(albums) ? albums : [];
+  return { albums: list, tier, reason: list.length > 0 ? null : (reason || 'not_found') };
+}
@@ -0,0 +1,95 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registerChartSource } from './registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Hand-curated charts live in CHART_FILES_DIR as <genre-slug>.json or <genre-slug>.csv
+const CHART_FILES_DIR = process.env.CHART_FILES_DIR || path.join(__dirname, '..', 'charts');
+
+/** Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes). */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+/** Parse a CSV chart with a header row naming at least artist and album (rank and albumUrl optional). */
+function parseCsvChart(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) return [];
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    const row = {};
+    header.forEach((h, i) => { row[h] = cells[i]; });
+    return { rank: row.rank, artist: row.artist, album: row.album, albumUrl: row.albumurl };
+  });
+}
+
+/** Normalize rows to { rank, artist, album, albumUrl }, falling back to file order for missing ranks. */
+function normalizeRows(rows) {
+  return rows
+    .map((row, i) => ({
+      rank: Number.parseInt(row.rank, 10) || i + 1,
+      artist: (row.artist || '').trim(),
+      album: (row.album || '').trim(),
+      albumUrl: row.albumUrl || null,
+    }))
+    .filter(({ artist, album }) => artist || album)
+    .sort((a, b) => a.rank - b.rank);
+}
+
+async function readChartFile(genreSlug) {
+  const base = path.join(CHART_FILES_DIR, genreSlug);
+  try {
+    const json = JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+    return normalizeRows(Array.isArray(json) ? json : json.albums || []);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  try {
+    return normalizeRows(parseCsvChart(await fs.readFile(`${base}.csv`, 'utf8')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return [];
+}
+
+registerChartSource({
+  id: 'local',
+  label: 'Local chart file',
+  // Files are already local; caching them would only hide edits
+  cacheable: false,
+  fetchChart: async (genreSlug, { depth } = {}) => {
+    const albums = await readChartFile(genreSlug);
+    return {
+      albums: depth ? albums.slice(0, depth) : albums,
+      tier: 'file',
+      reason: albums.length > 0 ? null : 'not_found',
+    };
+  },
+});
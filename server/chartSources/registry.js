@@ -0,0 +1,33 @@
+/**
+ * Chart-source registry. A source is { id, label, cacheable, supportsPeriod, aotyGenres, fetchChart(genreSlug, options) }
+ * where fetchChart resolves to { albums, tier, reason } and albums are { rank, artist, album, albumUrl }[];
+ * tier names how the rows were obtained (e.g. "http", "playwright", "zenrows", "file"), and reason
+ * explains an empty list: "not_found" (no such chart), "parser_error" (page layout changed) or "blocked".
+ * options.depth is the number of albums wanted (sources may return fewer). options.period is { from, to }
+ * (see chartPeriod.js) and is only passed to sources with supportsPeriod. Sources with aotyGenres take
+ * AOTY genre slugs, so user input is resolved against AOTY's genre list before fetchChart is called.
+ */
+const sources = new Map();
+
+export const DEFAULT_CHART_SOURCE = 'aoty-user';
+
+/** Register a chart source under a unique id (e.g. "aoty-user"). */
+export function registerChartSource(source) {
+  if (!source?.id || typeof source.fetchChart !== 'function') {
+    throw new Error('Chart source needs an id and a fetchChart function');
+  }
+  if (sources.has(source.id)) {
+    throw new Error(`Chart source already registered: ${source.id}`);
+  }
+  sources.set(source.id, { cacheable: true, supportsPeriod: false, aotyGenres: false, label: source.id, ...source });
+}
+
+/** Look up a registered chart source. Returns null for unknown ids. */
+export function getChartSource(id) {
+  return sources.get(id) || null;
+}
+
+/** List registered sources as { id, label, supportsPeriod } for clients. */
+export function listChartSources() {
+  return Array.from(sources.values()).map(({ id, label, supportsPeriod }) => ({ id, label, supportsPeriod }));
+}
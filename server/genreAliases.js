@@ -0,0 +1,23 @@
+/**
+ * Common names and abbreviations for AOTY genres, mapped to AOTY's slug. Keys are compared after
+ * compactGenre (lowercase, letters and digits only), so spelling variants of a genre's own name
+ * ("Hip Hop", "hiphop") already resolve without an entry; list only real synonyms and abbreviations.
+ * Add entries here when users keep missing a genre.
+ */
+export const GENRE_ALIASES = {
+  rap: 'hip-hop',
+  dnb: 'drum-and-bass',
+  drumnbass: 'drum-and-bass',
+  shoegazing: 'shoegaze',
+  gaze: 'shoegaze',
+  edm: 'electronic',
+  electronica: 'electronic',
+  prog: 'progressive-rock',
+  progrock: 'progressive-rock',
+  kpop: 'k-pop',
+  jpop: 'j-pop',
+  lofi: 'lo-fi-hip-hop',
+  altrock: 'alternative-rock',
+  alternative: 'alternative-rock',
+  indie: 'indie-rock',
+};
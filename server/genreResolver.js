@@ -0,0 +1,101 @@
+import { GENRE_ALIASES } from './genreAliases.js';
+import { getGenres } from './genreTaxonomy.js';
+import { similarityRatio } from './similarity.js';
+
+/**
+ * Resolve free-text genre input ("Hip Hop", "dnb", "shogaze") to an AOTY genre from the scraped list:
+ * exact slug, then spelling-insensitive name/slug match, then the alias table, then a close fuzzy
+ * match. Anything else is unresolved and comes with ranked suggestions. resolveChartGenre applies this
+ * to the genre typed into a chart request.
+ */
+
+// A fuzzy match is accepted only when it is this similar (0–1) and clearly ahead of the runner-up
+const FUZZY_ACCEPT = 0.85;
+const FUZZY_MARGIN = 0.05;
+const SUGGESTION_MIN = 0.5;
+const SUGGESTION_LIMIT = 5;
+
+/** Lowercase letters and digits only ("&" read as "and"), for spelling-insensitive comparison. */
+export function compactGenre(text) {
+  return (text || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Similarity of compact input to a genre (best of its slug and name), 0–1. A genre whose name starts
+ * with or contains the whole input scores at least 0.6 so partial words still surface as suggestions.
+ */
+function similarity(input, genre) {
+  let best = 0;
+  for (const candidate of [compactGenre(genre.slug), compactGenre(genre.name)]) {
+    if (!candidate) continue;
+    let score = similarityRatio(input, candidate);
+    if (input.length >= 3 && candidate.includes(input)) score = Math.max(score, 0.6 + 0.3 * (input.length / candidate.length));
+    best = Math.max(best, score);
+  }
+  return best;
+}
+
+/** Up to `limit` genres most similar to the input, as { slug, name, score } best first. */
+export function suggestGenres(input, genres, limit = SUGGESTION_LIMIT) {
+  const compact = compactGenre(input);
+  if (!compact) return [];
+  return genres
+    .map((g) => ({ slug: g.slug, name: g.name, score: Number(similarity(compact, g).toFixed(3)) }))
+    .filter((s) => s.score >= SUGGESTION_MIN)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Resolve input against the genre list. Returns { genre, match, suggestions } where genre is the
+ * matched { slug, name, ... } (null when unresolved), match is "exact", "normalized", "alias", "fuzzy"
+ * or null, and suggestions (only when unresolved) are ranked alternatives from suggestGenres.
+ * @param {string} input
+ * @param {{ slug: string, name: string }[]} genres
+ */
+export function resolveGenre(input, genres) {
+  const compact = compactGenre(input);
+  if (!compact) return { genre: null, match: null, suggestions: [] };
+  const bySlug = new Map(genres.map((g) => [g.slug, g]));
+
+  const exact = bySlug.get((input || '').trim().toLowerCase());
+  if (exact) return { genre: exact, match: 'exact', suggestions: [] };
+
+  const normalized = genres.find((g) => compactGenre(g.slug) === compact || compactGenre(g.name) === compact);
+  if (normalized) return { genre: normalized, match: 'normalized', suggestions: [] };
+
+  const alias = bySlug.get(GENRE_ALIASES[compact]);
+  if (alias) return { genre: alias, match: 'alias', suggestions: [] };
+
+  const suggestions = suggestGenres(input, genres);
+  const [best, runnerUp] = suggestions;
+  if (best && best.score >= FUZZY_ACCEPT && (!runnerUp || best.score - runnerUp.score >= FUZZY_MARGIN)) {
+    return { genre: bySlug.get(best.slug), match: 'fuzzy', suggestions: [] };
+  }
+  return { genre: null, match: null, suggestions };
+}
+
+/** Format genre for AOTY URL: lowercase, spaces to hyphens (e.g. "synth pop" -> "synth-pop") */
+function formatGenreSlug(genre) {
+  return genre
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+/**
+ * Resolve chart input to the slug to fetch and the genre's display name. Sources keyed by AOTY genre
+ * check the input against AOTY's genre list with resolveGenre; other sources, or a genre list that
+ * can't be loaded, use the input as typed. Returns { slug, name, match, suggestions } with slug null
+ * when the genre is unknown (suggestions then holds ranked alternatives).
+ */
+export async function resolveChartGenre(rawGenre, source) {
+  const typed = { slug: formatGenreSlug(rawGenre), name: rawGenre.toLowerCase(), match: null, suggestions: [] };
+  if (!source.aotyGenres) return typed;
+  const { genres } = await getGenres().catch(() => ({ genres: [] }));
+  if (genres.length === 0) return typed;
+  const { genre, match, suggestions } = resolveGenre(rawGenre, genres);
+  if (!genre) return { slug: null, name: rawGenre, match: null, suggestions };
+  return { slug: genre.slug, name: genre.name, match, suggestions: [] };
+}
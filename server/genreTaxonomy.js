@@ -0,0 +1,121 @@
+import { getStorage } from './storage/index.js';
+import { fetchAotyGenres } from './aoty.js';
+
+/**
+ * AOTY genre taxonomy: the flat { slug, name, id, parent } list parsed from genre.php, kept in memory
+ * and persisted to the aoty_genres storage table so a restart (or a blocked scrape) still has the hierarchy.
+ */
+
+const GENRES_TABLE = 'aoty_genres';
+const GENRES_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+let genresCache = null;
+let genresCacheTime = 0;
+let genresCacheTier = null;
+
+/** Stored genres plus when they were last refreshed, or null when the table is empty or unreachable. */
+async function readStoredGenres() {
+  let data;
+  try {
+    data = await getStorage().list(GENRES_TABLE);
+  } catch (err) {
+    console.warn('Reading stored genres failed:', err.message);
+    return null;
+  }
+  if (!data || data.length === 0) return null;
+  return {
+    genres: data
+      .map((row) => ({ slug: row.slug, name: row.name, id: row.aoty_id, parent: row.parent_slug }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    updatedAt: Math.max(...data.map((row) => new Date(row.updated_at).getTime())),
+  };
+}
+
+async function storeGenres(genres) {
+  const updatedAt = new Date().toISOString();
+  const rows = genres.map((g) => ({
+    slug: g.slug,
+    name: g.name,
+    aoty_id: g.id,
+    parent_slug: g.parent,
+    updated_at: updatedAt,
+  }));
+  await getStorage().upsert(GENRES_TABLE, rows)
+    .catch((err) => console.warn('Storing genres failed:', err.message));
+}
+
+/**
+ * All AOTY genres, from memory, then the aoty_genres table, then a fresh genre.php scrape once the
+ * copy is older than 24h. A failed scrape keeps serving the previous list.
+ * @returns {Promise<{ genres: { slug: string, name: string, id: number|null, parent: string|null }[],
+ *   tier: string|null, cached: boolean }>}
+ */
+export async function getGenres() {
+  if (!genresCache) {
+    const stored = await readStoredGenres();
+    if (stored) {
+      genresCache = stored.genres;
+      genresCacheTime = stored.updatedAt;
+      genresCacheTier = 'stored';
+    }
+  }
+  if (genresCache && Date.now() - genresCacheTime < GENRES_CACHE_TTL_MS) {
+    return { genres: genresCache, tier: genresCacheTier, cached: true };
+  }
+
+  const { genres, tier } = await fetchAotyGenres();
+  if (genres.length > 0) {
+    genresCache = genres;
+    genresCacheTime = Date.now();
+    genresCacheTier = tier;
+    await storeGenres(genres);
+    return { genres, tier, cached: false };
+  }
+  // Keep the previous list on scrape failure
+  return { genres: genresCache || [], tier: genresCacheTier, cached: Boolean(genresCache) };
+}
+
+/** Forget the in-memory genre list; the next getGenres() reloads it from storage (or re-scrapes). */
+export function clearGenresCache() {
+  const hadGenres = Boolean(genresCache);
+  genresCache = null;
+  genresCacheTime = 0;
+  genresCacheTier = null;
+  return hadGenres;
+}
+
+/**
+ * Nest the flat list into a tree: top-level genres with `children` arrays. Genres whose parent is not
+ * in the list are treated as top-level.
+ */
+export function buildGenreTree(genres) {
+  const nodes = new Map(genres.map((g) => [g.slug, { ...g, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+/**
+ * One genre with its family: ancestors (top-level first), siblings (same parent, excluding itself) and
+ * subgenres (direct children). Returns null for an unknown slug.
+ */
+export function genreFamily(genres, slug) {
+  const bySlug = new Map(genres.map((g) => [g.slug, g]));
+  const genre = bySlug.get(slug);
+  if (!genre) return null;
+
+  const ancestors = [];
+  const visited = new Set([slug]);
+  for (let p = bySlug.get(genre.parent); p && !visited.has(p.slug); p = bySlug.get(p.parent)) {
+    visited.add(p.slug);
+    ancestors.unshift(p);
+  }
+  const parent = bySlug.has(genre.parent) ? genre.parent : null;
+  const siblings = genres.filter((g) => g.slug !== slug && (bySlug.has(g.parent) ? g.parent : null) === parent);
+  const subgenres = genres.filter((g) => g.parent === slug);
+  return { genre, ancestors, siblings, subgenres };
+}
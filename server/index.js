@@ -2,28 +2,52 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import axios from 'axios';
-import * as cheerio from 'cheerio';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import SpotifyWebApi from 'spotify-web-api-node';
-import { chromium } from 'playwright-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { supabase } from './supabaseClient.js';
+import { shutdownBrowserPool } from './browser.js';
+import {
+  DEFAULT_CHART_DEPTH,
+  MAX_CHART_DEPTH,
+  aotyAlbumPath,
+  scrapeAotyAlbumDetails,
+} from './aoty.js';
+import { DEFAULT_CHART_SOURCE, getChartSource, listChartSources } from './chartSources/index.js';
+import { parseChartPeriod, periodLabel } from './chartPeriod.js';
+import { getScraperHealth } from './scraperHealth.js';
+import { getScrapeQueueStats, queuePosition } from './scrapeQueue.js';
+import {
+  chartCacheKey,
+  readCachedChart,
+  refreshChart,
+  startChartRefreshSchedule,
+  stopChartRefreshSchedule,
+} from './chartCache.js';
+import { buildGenreTree, genreFamily, getGenres } from './genreTaxonomy.js';
+import { resolveChartGenre, resolveGenre } from './genreResolver.js';
+import { adminRouter } from './admin.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { resolvePlaylistTracks } from './playlistBuilder.js';
+import { DEFAULT_SEQUENCING_MODE, SEQUENCING_MODES } from './playlistSequencing.js';
+import { createSpotifyClient } from './spotifyClient.js';
+import {
+  DEFAULT_TRACKS_PER_ALBUM,
+  DEFAULT_TRACK_STRATEGY,
+  MAX_TRACKS_PER_ALBUM,
+  getTrackStrategy,
+  listTrackStrategies,
+} from './trackStrategies.js';
+import { searchAlbumCandidates, spotifyAlbumSummary } from './albumMatching.js';
+import { deleteMatchOverride, getMatchOverride, saveMatchOverride } from './matchOverrides.js';
+import { findSyncablePlaylist, savePrimerPlaylist } from './primerPlaylists.js';
 
 dotenv.config();
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TOKENS_FILE = path.join(__dirname, '.spotify-tokens.json');
 
-chromium.use(StealthPlugin());
-
-// Shared Playwright launch options — always headless + no-sandbox in production (required for Railway/Linux)
-const PLAYWRIGHT_LAUNCH_OPTS = {
-  headless: true,
-  args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-};
-
 const app = express();
 const PORT = process.env.PORT || 8888;
 const IS_PROD = process.env.NODE_ENV === 'production';
@@ -95,308 +119,106 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use('/api/admin', adminRouter);
 
-/** Format genre for AOTY URL: lowercase, spaces to hyphens (e.g. "synth pop" -> "synth-pop") */
-function formatGenreSlug(genre) {
-  return genre
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '');
+/** Period fields for JSON responses: { from, to, label } or null for all time. */
+function periodResponse(period) {
+  return period ? { ...period, label: periodLabel(period) } : null;
 }
 
-const TOP_N = 20;
-const SCRAPE_TIMEOUT_MS = 60000;
-
-/**
- * TIER 1: Scrape AOTY with Playwright.
- * Returns { albums, success, notFound }. albums are { rank, artist, album }[].
- */
-async function scrapeAotyWithPlaywright(genreSlug) {
-  const url = `https://www.albumoftheyear.org/ratings/user-highest-rated/all/${genreSlug}/`;
-  let browser;
-
-  try {
-    browser = await chromium.launch(PLAYWRIGHT_LAUNCH_OPTS);
+// Seconds a client told its chart scrape is queued should wait before asking again
+const QUEUED_RETRY_AFTER_SECONDS = 5;
 
-    const page = await browser.newPage();
-    const response = await page.goto(url, {
-      waitUntil: 'domcontentloaded',
-      timeout: SCRAPE_TIMEOUT_MS,
-    });
+// Album pages scraped at once when a chart is requested with details
+const ALBUM_DETAILS_CONCURRENCY = 4;
 
-    if (response && response.status() === 404) {
-      return { albums: [], success: false, notFound: true };
-    }
-
-    await page.waitForSelector('a[href*="/album/"]', {
-      timeout: 20000,
-      state: 'attached',
-    }).catch(() => null);
-    await new Promise((r) => setTimeout(r, 2000));
-
-    const albums = await page.evaluate((limit) => {
-      const albumEls = Array.from(document.querySelectorAll('.albumTitle')).slice(0, limit);
-      const artistEls = Array.from(document.querySelectorAll('.artistTitle')).slice(0, limit);
-      if (albumEls.length > 0 || artistEls.length > 0) {
-        return albumEls.length >= artistEls.length
-          ? albumEls.map((albumEl, i) => {
-              const album = albumEl?.textContent?.trim() || '';
-              const container = albumEl.closest('li, tr, [class*="album"], [class*="row"], div');
-              const artistEl = container?.querySelector?.('.artistTitle');
-              const artist = (artistEl?.textContent?.trim()) || (artistEls[i]?.textContent?.trim()) || '';
-              const albumLink = container?.querySelector?.('a[href*="/album/"]');
-              const albumUrl = albumLink?.getAttribute?.('href') || null;
-              return { rank: i + 1, artist, album, albumUrl };
-            }).filter(({ artist, album }) => artist || album)
-          : artistEls.map((artistEl, i) => {
-              const artist = artistEl?.textContent?.trim() || '';
-              const container = artistEl.closest('li, tr, [class*="album"], [class*="row"], div');
-              const albumEl = container?.querySelector?.('.albumTitle');
-              const album = (albumEl?.textContent?.trim()) || (albumEls[i]?.textContent?.trim()) || '';
-              const albumLink = container?.querySelector?.('a[href*="/album/"]');
-              const albumUrl = albumLink?.getAttribute?.('href') || null;
-              return { rank: i + 1, artist, album, albumUrl };
-            }).filter(({ artist, album }) => artist || album);
-      }
-      const links = Array.from(document.querySelectorAll('a[href*="/album/"]'))
-        .filter((a) => (a.textContent || '').includes(' - '))
-        .slice(0, limit);
-      return links.map((a, i) => {
-        const text = a?.textContent?.trim() || '';
-        const idx = text.indexOf(' - ');
-        const artist = idx > 0 ? text.slice(0, idx).trim() : '';
-        const album = idx > 0 ? text.slice(idx + 3).trim() : text;
-        const albumUrl = a?.getAttribute?.('href') || null;
-        return { rank: i + 1, artist, album, albumUrl };
-      }).filter(({ artist, album }) => artist || album);
-    }, TOP_N);
-
-    const notFound = albums.length === 0;
-    return { albums, success: albums.length > 0, notFound };
-  } finally {
-    if (browser) await browser.close().catch(() => {});
-  }
+function wantsFlag(value) {
+  return value === '1' || value === 'true';
 }
 
-/**
- * FALLBACK: Scrape AOTY via ZenRows API; parse with cheerio.
- * Returns { albums, success }. albums are { rank, artist, album }[] (same format as Playwright).
- */
-async function scrapeAotyWithZenRows(genreSlug) {
-  const apiKey = process.env.ZENROWS_API_KEY;
-  if (!apiKey) {
-    console.log('ZENROWS_API_KEY not set, skipping ZenRows fallback.');
-    return { albums: [], success: false };
-  }
-
-  const url = `https://www.albumoftheyear.org/ratings/user-highest-rated/all/${genreSlug}/`;
-  const params = new URLSearchParams({
-    apikey: apiKey,
-    url,
-    js_render: 'true',
-    premium_proxy: 'true',
+/** Chart rows with `details` from each album's AOTY page (null when the row has no page or it failed). */
+function withAlbumDetails(albums) {
+  return mapWithConcurrency(albums, ALBUM_DETAILS_CONCURRENCY, async (album) => {
+    const { details } = album.albumUrl
+      ? await scrapeAotyAlbumDetails(album.albumUrl).catch(() => ({ details: null }))
+      : { details: null };
+    return { ...album, details };
   });
-
-  try {
-    const { data: html } = await axios.get(`https://api.zenrows.com/v1/?${params.toString()}`, {
-      timeout: 90000,
-    });
-
-    const $ = cheerio.load(html);
-    const albums = [];
-    const albumEls = $('.albumTitle').slice(0, TOP_N);
-    const artistEls = $('.artistTitle').slice(0, TOP_N);
-
-    if (albumEls.length > 0 || artistEls.length > 0) {
-      const n = Math.max(albumEls.length, artistEls.length);
-      for (let i = 0; i < n; i++) {
-        const album = $(albumEls[i]).text().trim() || '';
-        const artist = $(artistEls[i]).text().trim() || '';
-        const albumUrl = $(albumEls[i]).closest('li, tr, [class*="row"], div').find('a[href*="/album/"]').attr('href') || null;
-        if (artist || album) albums.push({ rank: i + 1, artist, album, albumUrl });
-      }
-    } else {
-      $('a[href*="/album/"]').each((i, el) => {
-        if (i >= TOP_N) return false;
-        const text = $(el).text().trim();
-        if (!text.includes(' - ')) return;
-        const idx = text.indexOf(' - ');
-        albums.push({
-          rank: i + 1,
-          artist: text.slice(0, idx).trim(),
-          album: text.slice(idx + 3).trim(),
-          albumUrl: $(el).attr('href') || null,
-        });
-      });
-    }
-
-    return { albums, success: albums.length > 0 };
-  } catch (err) {
-    console.error('ZenRows fallback error:', err.message);
-    return { albums: [], success: false };
-  }
 }
 
+/** Error responses for an empty chart, by the chart source's failure reason. */
+const CHART_FAILURES = {
+  not_found: {
+    status: 404,
+    reason: 'genre_not_found',
+    error: 'Genre not found. Try a different spelling or check AlbumOfTheYear.org for valid genre names (e.g. rock, hip-hop, shoegaze).',
+  },
+  parser_error: {
+    status: 502,
+    reason: 'parser_error',
+    error: 'AlbumOfTheYear.org returned the chart page but it could not be read (the site layout may have changed). Please try again later.',
+  },
+  blocked: {
+    status: 503,
+    reason: 'scrape_failed',
+    error: 'Could not reach AlbumOfTheYear.org right now. Please try again in a few minutes.',
+  },
+};
+
 /**
- * Tiered getChartData: Try Playwright, then ZenRows. Returns { albums } in a single format.
+ * All AOTY genres as a flat list, or nested under `tree` with ?tree=1 (each node has `children`).
+ * Genres carry their AOTY id and parent slug.
  */
-async function getChartData(genreSlug) {
+app.get('/api/genres', async (req, res) => {
   try {
-    const result = await scrapeAotyWithPlaywright(genreSlug);
-    if (result.success && result.albums.length > 0) {
-      console.log('Tier 1 Success.');
-      return { albums: result.albums };
+    const { genres, tier, cached } = await getGenres();
+    if (req.query.tree === '1' || req.query.tree === 'true') {
+      return res.json({ tree: buildGenreTree(genres), tier, cached });
     }
+    res.json({ genres, tier, cached });
   } catch (err) {
-    console.error('Tier 1 Playwright error:', err.message);
-  }
-
-  console.log('Tier 1 Playwright failed, escalating to ZenRows...');
-  const zenRows = await scrapeAotyWithZenRows(genreSlug);
-  if (zenRows.success && zenRows.albums.length > 0) {
-    console.log('ZenRows fallback success.');
-    return { albums: zenRows.albums };
+    console.error('GET /api/genres error:', err);
+    res.status(500).json({ error: 'Failed to load genres', genres: [] });
   }
+});
 
-  return { albums: [] };
-}
-
-const AOTY_BASE = 'https://www.albumoftheyear.org';
-
-/**
- * Scrape track list from a single AOTY album page, ordered by user rating (most popular first).
- * Uses the track list table: col 1 = #, col 2 = "TrackName" + "Duration", col 3 = rating.
- * @param {string} albumPath - e.g. "/album/224348-fiona-apple-fetch-the-bolt-cutters.php"
- * @returns {Promise<string[]>} Track names in order of AOTY rating (highest first), or [] if unavailable.
- */
-async function scrapeAotyAlbumTracks(albumPath) {
-  if (!albumPath || typeof albumPath !== 'string') return [];
-  const pathNorm = albumPath.startsWith('/') ? albumPath : `/${albumPath}`;
-  const url = `${AOTY_BASE}${pathNorm}`;
-  let browser;
+/** One genre (resolved like chart input) with its ancestors (top-level first), siblings and direct subgenres. */
+app.get('/api/genres/:slug', async (req, res) => {
   try {
-    browser = await chromium.launch(PLAYWRIGHT_LAUNCH_OPTS);
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-    await new Promise((r) => setTimeout(r, 1500));
-
-    const trackNames = await page.evaluate(() => {
-      const tables = document.querySelectorAll('table');
-      for (const table of tables) {
-        const rows = Array.from(table.querySelectorAll('tr'));
-        const parsed = rows.map((tr) => {
-          const tds = tr.querySelectorAll('td');
-          return Array.from(tds).map((td) => (td.textContent || '').trim());
-        }).filter((row) => row.length >= 3);
-        if (parsed.length < 2) continue;
-        const withRating = [];
-        for (const row of parsed) {
-          const rating = parseInt(row[2], 10);
-          if (Number.isNaN(rating) || rating < 0 || rating > 100) continue;
-          const nameAndDuration = row[1] || '';
-          const name = nameAndDuration.replace(/\d{1,2}:\d{2}$/, '').trim();
-          if (!name) continue;
-          withRating.push({ name, rating });
-        }
-        if (withRating.length >= 2) {
-          withRating.sort((a, b) => b.rating - a.rating);
-          return withRating.map((x) => x.name);
-        }
-      }
-      return [];
-    });
-
-    return Array.isArray(trackNames) ? trackNames : [];
+    const { genres, tier, cached } = await getGenres();
+    const { genre, suggestions } = resolveGenre(req.params.slug, genres);
+    if (!genre) {
+      return res.status(404).json({ error: 'Genre not found', reason: 'genre_not_found', suggestions });
+    }
+    const family = genreFamily(genres, genre.slug);
+    res.json({ ...family, tier, cached });
   } catch (err) {
-    console.warn('scrapeAotyAlbumTracks failed:', url, err.message);
-    return [];
-  } finally {
-    if (browser) await browser.close().catch(() => {});
+    console.error('GET /api/genres/:slug error:', err);
+    res.status(500).json({ error: 'Failed to load genre' });
   }
-}
-
-let genresCache = null;
-let genresCacheTime = 0;
-const GENRES_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-
-function slugToDisplayName(slug) {
-  return slug
-    .split('-')
-    .map((w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
-    .join(' ');
-}
+});
 
 /**
- * Scrape AOTY genre.php for all genre links. Returns { name, slug }[].
+ * Details for one AOTY album page: release year, cover art, user/critic score, rating count, record
+ * type and genres. ?url= takes the album path ("/album/2126-slowdive-souvlaki.php") or full URL.
  */
-async function fetchAotyGenres() {
-  const url = `${AOTY_BASE}/genre.php`;
-  let browser;
-  try {
-    browser = await chromium.launch(PLAYWRIGHT_LAUNCH_OPTS);
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
-    await new Promise((r) => setTimeout(r, 1500));
-
-    const list = await page.evaluate(() => {
-      const seen = new Set();
-      const out = [];
-      const links = document.querySelectorAll('a[href*="/genre/"]');
-      for (const a of links) {
-        const href = a.getAttribute('href') || '';
-        const match = href.match(/\/genre\/\d+-([^/]+)\/?$/);
-        if (!match) continue;
-        const slug = match[1];
-        if (seen.has(slug)) continue;
-        let name = (a.textContent || '').trim();
-        if (name === 'View More' || !name) {
-          let prev = a.previousElementSibling;
-          while (prev) {
-            if (prev.tagName === 'H2' || prev.tagName === 'H1') {
-              name = (prev.textContent || '').trim();
-              break;
-            }
-            prev = prev.previousElementSibling;
-          }
-          if (!name) name = slug.split('-').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
-        }
-        seen.add(slug);
-        out.push({ slug, name: name || slug });
-      }
-      return out;
-    });
-
-    const genres = (list || [])
-      .filter((g) => g.slug && g.name)
-      .map((g) => ({ name: g.name || slugToDisplayName(g.slug), slug: g.slug }));
-    return genres;
-  } catch (err) {
-    console.warn('fetchAotyGenres failed:', err.message);
-    return [];
-  } finally {
-    if (browser) await browser.close().catch(() => {});
-  }
-}
-
-app.get('/api/genres', async (req, res) => {
+app.get('/api/album', async (req, res) => {
   try {
-    if (genresCache && Date.now() - genresCacheTime < GENRES_CACHE_TTL_MS) {
-      return res.json({ genres: genresCache });
-    }
-    const genres = await fetchAotyGenres();
-    if (genres.length > 0) {
-      genresCache = genres;
-      genresCacheTime = Date.now();
-    } else if (genresCache) {
-      // Keep previous cache on scrape failure
-    } else {
-      genresCache = [];
+    const albumUrl = (req.query.url || '').toString();
+    if (!aotyAlbumPath(albumUrl)) {
+      return res.status(400).json({ error: 'url must be an AlbumOfTheYear.org album page (/album/....php)' });
     }
-    res.json({ genres: genresCache });
+    const { details, tier, cached } = await scrapeAotyAlbumDetails(albumUrl);
+    if (!details) {
+      return res.status(tier ? 404 : 503).json({
+        error: tier ? 'Album page has no details' : 'Could not load the album page right now',
+        albumUrl: aotyAlbumPath(albumUrl),
+      });
+    }
+    res.json({ albumUrl: aotyAlbumPath(albumUrl), details, tier, cached });
   } catch (err) {
-    console.error('GET /api/genres error:', err);
-    res.status(500).json({ error: 'Failed to load genres', genres: genresCache || [] });
+    console.error('GET /api/album error:', err);
+    res.status(500).json({ error: 'Failed to load album details', message: err.message });
   }
 });
 
@@ -404,6 +226,15 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
+/** Recent scrape success rates, parser strategies and anomalies per AOTY page type. */
+app.get('/api/scraper/health', (req, res) => {
+  res.json({ ...getScraperHealth(), queue: getScrapeQueueStats() });
+});
+
+app.get('/api/sources', (req, res) => {
+  res.json({ sources: listChartSources(), default: DEFAULT_CHART_SOURCE });
+});
+
 app.get('/api/chart/:genre', async (req, res) => {
   try {
     const rawGenre = req.params.genre?.trim();
@@ -411,60 +242,103 @@ app.get('/api/chart/:genre', async (req, res) => {
       return res.status(400).json({ error: 'Genre parameter is required' });
     }
 
-    const genreSlug = formatGenreSlug(rawGenre);
-    const genreKey = rawGenre.toLowerCase().trim();
+    const sourceId = (req.query.source || DEFAULT_CHART_SOURCE).toString().trim();
+    const source = getChartSource(sourceId);
+    if (!source) {
+      return res.status(400).json({
+        error: `Unknown chart source "${sourceId}"`,
+        sources: listChartSources().map((s) => s.id),
+      });
+    }
 
-    const { data: cachedData, error: cacheError } = await supabase
-      .from('rym_charts_cache')
-      .select('*')
-      .eq('genre', genreKey)
-      .single();
+    const { period, error: periodError } = parseChartPeriod(req.query);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    if (period && !source.supportsPeriod) {
+      return res.status(400).json({ error: `Chart source "${sourceId}" does not support year filters` });
+    }
 
-    if (cacheError && cacheError.code !== 'PGRST116') {
-      console.error('Error checking cache:', cacheError);
+    const depth = req.query.depth === undefined ? DEFAULT_CHART_DEPTH : Number.parseInt(req.query.depth, 10);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_CHART_DEPTH) {
+      return res.status(400).json({ error: `depth must be a whole number from 1 to ${MAX_CHART_DEPTH}` });
     }
 
-    if (cachedData && cachedData.data) {
-      const cacheTime = new Date(cachedData.updated_at || cachedData.created_at);
-      const hoursSinceUpdate = (Date.now() - cacheTime) / (1000 * 60 * 60);
-      if (hoursSinceUpdate < 24) {
-        return res.json({
-          genre: genreKey,
-          data: cachedData.data,
-          cached: true,
-          cachedAt: cacheTime.toISOString(),
-        });
-      }
+    const includeDetails = wantsFlag(req.query.details);
+    const resolved = await resolveChartGenre(rawGenre, source);
+    if (!resolved.slug) {
+      return res.status(404).json({
+        error: CHART_FAILURES.not_found.error,
+        reason: CHART_FAILURES.not_found.reason,
+        genre: rawGenre,
+        source: sourceId,
+        period: periodResponse(period),
+        suggestions: resolved.suggestions,
+      });
     }
+    const genreSlug = resolved.slug;
+    const genreKey = resolved.name;
+    const cacheKey = chartCacheKey(sourceId, genreSlug, period);
 
-    console.log(`Scraping AOTY chart for genre: ${genreSlug}`);
-    const { albums } = await getChartData(genreSlug);
+    const cached = source.cacheable ? await readCachedChart(cacheKey) : null;
+    const chartResponse = async (rows, extra) => res.json({
+      genre: genreKey,
+      slug: genreSlug,
+      ...(resolved.match && resolved.match !== 'exact' ? { resolvedFrom: rawGenre, match: resolved.match } : {}),
+      source: sourceId,
+      period: periodResponse(period),
+      depth,
+      data: includeDetails ? await withAlbumDetails(rows.slice(0, depth)) : rows.slice(0, depth),
+      ...extra,
+    });
+    const cachedResponse = () => chartResponse(cached.data, {
+      cached: true,
+      stale: cached.stale,
+      ageSeconds: Math.round(cached.ageMs / 1000),
+      cachedAt: cached.updatedAt.toISOString(),
+    });
 
-    if (!albums || albums.length === 0) {
-      return res.status(404).json({
-        error: 'Genre not found. Try a different spelling or check AlbumOfTheYear.org for valid genre names (e.g. rock, hip-hop, shoegaze).',
+    // The cache keeps the deepest list fetched so far. A list shorter than its depth means the chart
+    // ran out, so it covers any deeper request too.
+    const coversDepth = cached && (cached.depth >= depth || cached.data.length < cached.depth);
+    const fetchDepth = Math.max(depth, cached?.depth ?? 0);
+    if (coversDepth && !cached.stale) return cachedResponse();
+
+    console.log(`Fetching ${sourceId} chart for genre: ${genreSlug}${period ? ` (${periodLabel(period)})` : ''}`);
+    const job = refreshChart({ sourceId, genreSlug, cacheKey, period, depth: fetchDepth });
+
+    // Stale but deep enough: answer now and let the refresh finish in the background
+    if (coversDepth) return cachedResponse();
+
+    // Scrapes waiting for a free slot answer 202 with their place in line; the client polls this URL
+    if (job.state === 'queued') {
+      res.set('Retry-After', String(QUEUED_RETRY_AFTER_SECONDS));
+      return res.status(202).json({
+        status: 'queued',
+        position: queuePosition(job),
         genre: genreKey,
+        source: sourceId,
+        period: periodResponse(period),
+        depth,
       });
     }
 
-    const chartPayload = {
-      genre: genreKey,
-      data: albums,
-      updated_at: new Date().toISOString(),
-    };
+    const { albums, tier, reason, fetchedAt } = await job.promise;
 
-    if (cachedData) {
-      await supabase.from('rym_charts_cache').update(chartPayload).eq('genre', genreKey);
-    } else {
-      await supabase.from('rym_charts_cache').insert(chartPayload);
+    if (!albums || albums.length === 0) {
+      // A shallower or older cached list beats an error
+      if (cached) return cachedResponse();
+      const failure = CHART_FAILURES[reason] || CHART_FAILURES.not_found;
+      return res.status(failure.status).json({
+        error: failure.error,
+        reason: failure.reason,
+        genre: genreKey,
+        source: sourceId,
+        period: periodResponse(period),
+      });
     }
 
-    res.json({
-      genre: genreKey,
-      data: albums,
-      cached: false,
-      fetchedAt: new Date().toISOString(),
-    });
+    await chartResponse(albums, { tier, cached: false, stale: false, fetchedAt });
   } catch (err) {
     console.error('Error fetching chart:', err);
     res.status(500).json({
@@ -556,163 +430,306 @@ app.get('/api/me', async (req, res) => {
   }
 });
 
-const TRACKS_PER_ALBUM = 3;
+/** Answer a Spotify API error the way the playlist routes do (401 asks the client to log in again). */
+function sendSpotifyError(res, err, fallback) {
+  const status = err.statusCode || 500;
+  const msg = err?.body?.error?.message ?? err?.message;
+  if (status === 401) {
+    return res.status(401).json({ error: 'Token expired or invalid', message: 'Please log in with Spotify again.' });
+  }
+  res.status(status).json({ error: msg || fallback });
+}
 
 /**
- * Fetch all tracks for an album (paginated). Uses axios so we explicitly set limit=50 and follow next.
- * Returns full array of simplified track objects. Throws on 401/403 so caller can prompt re-login.
+ * Spotify candidates for one chart entry, best first, plus any saved override, for fixing a match by
+ * hand. Query: artist, album (required), albumUrl, year, recordType, and q to search with your own text.
  */
-async function getAllAlbumTracks(spotifyApi, albumId) {
-  const token = spotifyApi.getAccessToken();
-  if (!token) return [];
-  const all = [];
-  let url = `https://api.spotify.com/v1/albums/${albumId}/tracks?limit=50&offset=0`;
-  while (url) {
-    const res = await axios.get(url, {
-      headers: { Authorization: `Bearer ${token}` },
-      validateStatus: () => true,
+app.get('/api/match/candidates', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Send Authorization: Bearer <access_token>' });
+  }
+  const artist = (req.query.artist || '').toString().trim();
+  const album = (req.query.album || '').toString().trim();
+  const query = (req.query.q || '').toString().trim() || null;
+  if (!artist || !album) {
+    return res.status(400).json({ error: 'artist and album are required' });
+  }
+  try {
+    const client = createSpotifyClient(authHeader.slice(7));
+    const target = {
+      artist,
+      album,
+      year: Number.parseInt(req.query.year, 10) || null,
+      recordType: req.query.recordType || null,
+    };
+    const [candidates, override] = await Promise.all([
+      searchAlbumCandidates(client, target, query),
+      req.query.albumUrl ? getMatchOverride(req.query.albumUrl) : null,
+    ]);
+    res.json({
+      artist,
+      album,
+      query,
+      override: override ? override.spotify_album : null,
+      candidates,
     });
-    const status = res?.status;
-    if (status === 401 || status === 403) {
-      const err = new Error(res?.data?.error?.message || 'Spotify auth failed');
-      err.statusCode = status;
-      err.body = res?.data;
-      throw err;
-    }
-    if (!res?.data?.items?.length) break;
-    all.push(...res.data.items);
-    url = res.data.next || null;
-  }
-  return all;
-}
+  } catch (err) {
+    console.error('GET /api/match/candidates error:', err.statusCode, err.message);
+    sendSpotifyError(res, err, 'Failed to search Spotify');
+  }
+});
 
 /**
- * Get up to N track URIs from an album's tracks, ordered by Spotify popularity (highest first).
- * Falls back to first N in album order if fetching full track details fails.
+ * Save a Spotify album as the match for an AOTY album; later playlists for any user use it instead of
+ * searching. Body: { albumUrl, spotifyAlbumId, artist?, album? }.
  */
-async function getTopTrackUrisByPopularity(spotifyApi, albumTrackItems, n = 3) {
-  const take = Math.min(n, albumTrackItems.length);
-  if (take === 0) return [];
-  const ids = albumTrackItems.slice(0, 50).map((t) => t.id).filter(Boolean);
-  if (ids.length === 0) {
-    return albumTrackItems.slice(0, take).map((t) => t.uri).filter(Boolean);
+app.put('/api/match/override', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Send Authorization: Bearer <access_token>' });
+  }
+  const { albumUrl, spotifyAlbumId, artist, album } = req.body || {};
+  if (!aotyAlbumPath(albumUrl)) {
+    return res.status(400).json({ error: 'albumUrl must be an AOTY album URL, e.g. /album/2126-slowdive-souvlaki.php' });
+  }
+  if (!spotifyAlbumId || !/^[A-Za-z0-9]{22}$/.test(spotifyAlbumId)) {
+    return res.status(400).json({ error: 'spotifyAlbumId must be a Spotify album id' });
   }
   try {
-    const res = await spotifyApi.getTracks(ids);
-    const tracks = res?.body?.tracks || [];
-    const withPopularity = tracks.filter((t) => t && t.uri).map((t) => ({ uri: t.uri, popularity: t.popularity ?? 0 }));
-    withPopularity.sort((a, b) => b.popularity - a.popularity);
-    const uris = withPopularity.slice(0, take).map((t) => t.uri);
-    if (uris.length >= take) return uris;
-    const used = new Set(uris);
-    for (const t of albumTrackItems) {
-      if (uris.length >= take) break;
-      if (t.uri && !used.has(t.uri)) {
-        uris.push(t.uri);
-        used.add(t.uri);
-      }
+    const client = createSpotifyClient(authHeader.slice(7));
+    const spotifyAlbum = await client.getAlbum(spotifyAlbumId).then((r) => r.body);
+    const row = await saveMatchOverride(albumUrl, spotifyAlbumSummary(spotifyAlbum), { artist, album });
+    res.json({ albumUrl: row.album_path, override: row.spotify_album, updatedAt: row.updated_at });
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 404) {
+      return res.status(404).json({ error: `Spotify has no album "${spotifyAlbumId}"` });
     }
-    return uris;
-  } catch (e) {
-    return albumTrackItems.slice(0, take).map((t) => t.uri).filter(Boolean);
+    console.error('PUT /api/match/override error:', err.statusCode, err.message);
+    if (err.statusCode) return sendSpotifyError(res, err, 'Failed to look up Spotify album');
+    res.status(500).json({ error: 'Failed to save match override', message: err.message });
+  }
+});
+
+/**
+ * Drop the override for an AOTY album (?albumUrl=) so the automatic matcher is used again. Needs a valid
+ * Spotify access token (checked with Spotify).
+ */
+app.delete('/api/match/override', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Send Authorization: Bearer <access_token>' });
   }
+  const albumPath = aotyAlbumPath(req.query.albumUrl);
+  if (!albumPath) {
+    return res.status(400).json({ error: 'albumUrl must be an AOTY album URL, e.g. /album/2126-slowdive-souvlaki.php' });
+  }
+  try {
+    // Overrides are shared by every user, so only a working Spotify login may drop one
+    await createSpotifyClient(authHeader.slice(7)).getMe();
+  } catch (err) {
+    console.error('DELETE /api/match/override auth error:', err.statusCode, err.message);
+    return sendSpotifyError(res, err, 'Failed to verify Spotify login');
+  }
+  try {
+    const deleted = await deleteMatchOverride(albumPath);
+    res.status(deleted ? 200 : 404).json({ albumUrl: albumPath, deleted });
+  } catch (err) {
+    console.error('DELETE /api/match/override error:', err);
+    res.status(500).json({ error: 'Failed to delete match override', message: err.message });
+  }
+});
+
+// Most tracks a primer may hold; previews and generated playlists are cut to it from the bottom of the chart
+const MAX_PLAYLIST_TRACKS = 1000;
+const TRACK_URI_RE = /^spotify:track:[A-Za-z0-9]{22}$/;
+// Bounds for targetMinutes, a primer's running time
+const MIN_TARGET_MINUTES = 10;
+const MAX_TARGET_MINUTES = 600;
+
+/**
+ * Name and description for a genre primer playlist. An optional period ({ from, to } as returned by
+ * /api/chart) scopes the name, e.g. "[1990s shoegaze]". Also returns the parsed period; { error } for a
+ * bad one.
+ */
+function primerPlaylistMeta(genre, rawPeriod) {
+  const { period, error } = parseChartPeriod(rawPeriod || {});
+  if (error) return { error };
+  const label = period ? `${periodLabel(period)} ${genre}` : genre;
+  return {
+    name: `[${label}] Genre Primer (AOTY)`,
+    description: `Genre primer: top ${label} albums from AlbumOfTheYear.org`,
+    period,
+  };
 }
 
-/** Generate playlist from genre + albums (search Spotify, create playlist, add tracks). Returns playlist_id. */
-app.post('/api/generate-playlist', async (req, res) => {
+/**
+ * Track selection and order from a playlist request body: { strategy, tracksPerAlbum, sequence, seed,
+ * targetDurationMs } or { error }. Shuffles without a seed get a random one, returned so the order can
+ * be repeated. targetMinutes (optional) becomes targetDurationMs.
+ */
+function playlistOptions(body) {
+  const strategy = (body.strategy || DEFAULT_TRACK_STRATEGY).toString();
+  if (!getTrackStrategy(strategy)) {
+    return { error: `Unknown track strategy "${strategy}". See GET /api/track-strategies.` };
+  }
+  const tracksPerAlbum = body.tracksPerAlbum === undefined
+    ? DEFAULT_TRACKS_PER_ALBUM
+    : Number.parseInt(body.tracksPerAlbum, 10);
+  if (!Number.isInteger(tracksPerAlbum) || tracksPerAlbum < 1 || tracksPerAlbum > MAX_TRACKS_PER_ALBUM) {
+    return { error: `tracksPerAlbum must be a whole number from 1 to ${MAX_TRACKS_PER_ALBUM}` };
+  }
+  const sequence = (body.sequence || DEFAULT_SEQUENCING_MODE).toString();
+  if (!SEQUENCING_MODES.includes(sequence)) {
+    return { error: `sequence must be one of ${SEQUENCING_MODES.join(', ')}` };
+  }
+  const seed = body.seed === undefined || body.seed === null || body.seed === ''
+    ? null
+    : String(body.seed).slice(0, 64);
+  const targetMinutes = body.targetMinutes === undefined || body.targetMinutes === null || body.targetMinutes === ''
+    ? null
+    : Number(body.targetMinutes);
+  if (targetMinutes !== null
+    && !(Number.isFinite(targetMinutes) && targetMinutes >= MIN_TARGET_MINUTES && targetMinutes <= MAX_TARGET_MINUTES)) {
+    return { error: `targetMinutes must be from ${MIN_TARGET_MINUTES} to ${MAX_TARGET_MINUTES}` };
+  }
+  return {
+    strategy,
+    tracksPerAlbum,
+    sequence,
+    seed: sequence === 'shuffle' ? seed ?? crypto.randomUUID().slice(0, 8) : null,
+    targetDurationMs: targetMinutes === null ? null : Math.round(targetMinutes * 60 * 1000),
+  };
+}
+
+/** Running time of a list of playlist tracks, in milliseconds. */
+function totalDurationMs(tracks) {
+  return tracks.reduce((sum, t) => sum + (t.durationMs || 0), 0);
+}
+
+/**
+ * Track-selection strategies and sequencing modes for playlist requests, with defaults and limits
+ * (including the targetMinutes range).
+ */
+app.get('/api/track-strategies', (req, res) => {
+  res.json({
+    strategies: listTrackStrategies(),
+    default: DEFAULT_TRACK_STRATEGY,
+    defaultTracksPerAlbum: DEFAULT_TRACKS_PER_ALBUM,
+    maxTracksPerAlbum: MAX_TRACKS_PER_ALBUM,
+    sequencingModes: SEQUENCING_MODES,
+    defaultSequence: DEFAULT_SEQUENCING_MODE,
+    minTargetMinutes: MIN_TARGET_MINUTES,
+    maxTargetMinutes: MAX_TARGET_MINUTES,
+  });
+});
+
+/**
+ * Dry run of /api/generate-playlist: resolve the chart's albums to tracks (Spotify search, AOTY track
+ * ratings, popularity fallback) and return the ordered track list without creating anything on Spotify.
+ * Body: { genre, albums, period?, strategy?, tracksPerAlbum?, sequence?, seed?, targetMinutes? }. Send the
+ * returned trackUris to /api/generate-playlist to create exactly this list.
+ */
+app.post('/api/preview-playlist', async (req, res) => {
   try {
     const { genre, albums } = req.body;
     const authHeader = req.headers.authorization;
-
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         error: 'Not authenticated',
         message: 'Send Authorization: Bearer <access_token>. Log in via /api/login first.',
       });
     }
-    spotifyApi.setAccessToken(authHeader.slice(7));
-
     if (!genre || !Array.isArray(albums) || albums.length === 0) {
       return res.status(400).json({ error: 'Request body must include genre and a non-empty albums array' });
     }
+    const { name, description, error: periodError } = primerPlaylistMeta(genre, req.body.period);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    const selection = playlistOptions(req.body);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
 
-    const playlistName = `[${genre}] Genre Primer (AOTY)`;
-    const trackUris = [];
-    const ADD_TRACKS_CHUNK = 100;
-    let authError = null;
-
-    function norm(s) {
-      return (s || '')
-        .toLowerCase()
-        .replace(/\s*\([^)]*\)/g, '')
-        .replace(/\s*[–—-]\s*.*$/, '')
-        .replace(/\s+/g, ' ')
-        .trim();
-    }
-    function findMatch(aotyName, spotifyNormToUri) {
-      const n = norm(aotyName);
-      const uri = spotifyNormToUri.get(n);
-      if (uri) return uri;
-      for (const [spotifyNorm, u] of spotifyNormToUri) {
-        if (spotifyNorm.includes(n) || n.includes(spotifyNorm)) return u;
-        if (n.length >= 4 && spotifyNorm.startsWith(n)) return u;
-      }
-      return null;
+    const client = createSpotifyClient(authHeader.slice(7));
+    const { report, tracks, trackUris, authError, durationShortfallMs } = await resolvePlaylistTracks(client, albums, {
+      ...selection,
+      maxTracks: MAX_PLAYLIST_TRACKS,
+    });
+    if (trackUris.length === 0 && authError) {
+      return res.status(401).json({
+        error: 'Token expired or invalid',
+        message: 'Please log in again (click Log in with Spotify, then try previewing again).',
+      });
     }
+    res.json({
+      name,
+      description,
+      sequence: selection.sequence,
+      seed: selection.seed,
+      targetDurationMs: selection.targetDurationMs,
+      durationShortfallMs,
+      tracks,
+      trackUris,
+      trackCount: tracks.length,
+      durationMs: totalDurationMs(tracks),
+      report,
+    });
+  } catch (err) {
+    console.error('Preview playlist error:', err.statusCode, err.message);
+    sendSpotifyError(res, err, 'Failed to preview playlist');
+  }
+});
 
-    for (const item of albums) {
-      try {
-        const q = `artist:${(item.artist || '').trim()} album:${(item.album || '').trim()}`;
-        const search = await spotifyApi.searchAlbums(q, { limit: 1 });
-        const first = search?.body?.albums?.items?.[0];
-        if (!first?.id) continue;
+/**
+ * Generate playlist from genre + albums (search Spotify, create playlist, add tracks). Returns playlist_id.
+ * strategy and tracksPerAlbum choose the tracks per album and sequence (with seed) their order (see
+ * GET /api/track-strategies). targetMinutes picks tracks until that running time is filled (instead of
+ * tracksPerAlbum); the final runtime comes back as durationMs, and durationShortfallMs says how far short
+ * a chart with too little music fell.
+ * With trackUris (from /api/preview-playlist) the albums are not resolved again and exactly those
+ * tracks are added, in that order.
+ * The playlist is remembered per Spotify user, genre and period: generating the same primer again
+ * replaces that playlist's tracks and dates its description (200, synced: true) instead of creating a
+ * duplicate. createCopy: true always creates a new playlist (201) and leaves the remembered one alone.
+ */
+app.post('/api/generate-playlist', async (req, res) => {
+  try {
+    const { genre, albums, trackUris: previewedUris, createCopy = false } = req.body;
+    const authHeader = req.headers.authorization;
 
-        const items = await getAllAlbumTracks(spotifyApi, first.id);
-        if (items.length === 0) continue;
-        if (items.length < TRACKS_PER_ALBUM) {
-          console.log(`Album "${item.artist} – ${item.album}" has only ${items.length} track(s), taking all`);
-        }
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Not authenticated',
+        message: 'Send Authorization: Bearer <access_token>. Log in via /api/login first.',
+      });
+    }
+    const client = createSpotifyClient(authHeader.slice(7));
 
-        let urisToAdd = [];
-        const aotyOrder = item.albumUrl ? await scrapeAotyAlbumTracks(item.albumUrl) : [];
-        if (!item.albumUrl) {
-          console.log(`No albumUrl for ${item.artist} – ${item.album}, using top ${TRACKS_PER_ALBUM} by Spotify popularity`);
-          urisToAdd = await getTopTrackUrisByPopularity(spotifyApi, items, TRACKS_PER_ALBUM);
-        } else if (aotyOrder.length === 0) {
-          console.log(`AOTY returned no rated tracks for ${item.artist} – ${item.album}, using top ${TRACKS_PER_ALBUM} by Spotify popularity`);
-          urisToAdd = await getTopTrackUrisByPopularity(spotifyApi, items, TRACKS_PER_ALBUM);
-        } else {
-          const byNorm = new Map(items.map((t) => [norm(t.name), t.uri]).filter(([k]) => k));
-          for (let i = 0; i < Math.min(TRACKS_PER_ALBUM, aotyOrder.length); i++) {
-            const uri = findMatch(aotyOrder[i], byNorm);
-            if (uri && !urisToAdd.includes(uri)) urisToAdd.push(uri);
-          }
-          if (urisToAdd.length > 0) {
-            console.log(`AOTY top-rated for ${item.artist} – ${item.album}: ${urisToAdd.length}/${TRACKS_PER_ALBUM} matched (AOTY order: ${aotyOrder.slice(0, 3).join(' | ')})`);
-          } else {
-            console.log(`AOTY names did not match Spotify for ${item.artist} – ${item.album}; Spotify: ${items.slice(0, 3).map((t) => t.name).join(' | ')}`);
-          }
-        }
-        if (urisToAdd.length < TRACKS_PER_ALBUM) {
-          const used = new Set(urisToAdd);
-          for (const t of items) {
-            if (urisToAdd.length >= TRACKS_PER_ALBUM) break;
-            if (t.uri && !used.has(t.uri)) {
-              urisToAdd.push(t.uri);
-              used.add(t.uri);
-            }
-          }
-        }
-        if (urisToAdd.length < TRACKS_PER_ALBUM && items.length >= TRACKS_PER_ALBUM) {
-          console.warn(`Only ${urisToAdd.length}/${TRACKS_PER_ALBUM} tracks for ${item.artist} – ${item.album} (album has ${items.length} tracks)`);
-        }
-        for (const uri of urisToAdd) trackUris.push(uri);
-      } catch (e) {
-        const status = e.statusCode ?? e.response?.status;
-        if ((status === 401 || status === 403) && !authError) authError = e;
-        console.warn(`Spotify search skip: ${item.artist} - ${item.album}`, e.message);
+    if (previewedUris !== undefined) {
+      if (!Array.isArray(previewedUris) || previewedUris.length === 0 || previewedUris.length > MAX_PLAYLIST_TRACKS
+        || !previewedUris.every((uri) => TRACK_URI_RE.test(uri))) {
+        return res.status(400).json({ error: `trackUris must be a list of 1 to ${MAX_PLAYLIST_TRACKS} Spotify track URIs` });
       }
     }
+    if (!genre || (!previewedUris && (!Array.isArray(albums) || albums.length === 0))) {
+      return res.status(400).json({ error: 'Request body must include genre and a non-empty albums array' });
+    }
+
+    const { name: playlistName, description, period, error: periodError } = primerPlaylistMeta(genre, req.body.period);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    const selection = playlistOptions(req.body);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const ADD_TRACKS_CHUNK = 100;
+    const { report, tracks, trackUris, authError, durationShortfallMs } = previewedUris
+      ? { report: null, tracks: null, trackUris: previewedUris, authError: null, durationShortfallMs: null }
+      : await resolvePlaylistTracks(client, albums, { ...selection, maxTracks: MAX_PLAYLIST_TRACKS });
 
     if (trackUris.length === 0) {
       if (authError && (authError.statusCode === 401 || authError.statusCode === 403)) {
@@ -724,50 +741,71 @@ app.post('/api/generate-playlist', async (req, res) => {
       return res.status(422).json({
         error: 'No matching tracks found',
         message: 'Could not resolve any albums to Spotify tracks. Try logging in again (token may have expired), or try a different genre.',
+        report,
       });
     }
 
-    const playlist = await spotifyApi.createPlaylist(playlistName, {
-      description: `Genre primer: top ${genre} albums from AlbumOfTheYear.org`,
-      public: true,
-    });
-    const playlistId = playlist?.body?.id;
-    if (!playlistId) {
-      return res.status(500).json({ error: 'Failed to create playlist' });
+    const userId = (await client.getMe()).body.id;
+    const existing = createCopy ? null : await findSyncablePlaylist(client, userId, genre, period);
+    let playlistId = existing?.playlist_id;
+    let playlistUrl = existing?.playlist_url;
+    if (!existing) {
+      const playlist = await client.createPlaylist(playlistName, {
+        description,
+        public: true,
+      });
+      playlistId = playlist?.body?.id;
+      if (!playlistId) {
+        return res.status(500).json({ error: 'Failed to create playlist' });
+      }
+      playlistUrl = playlist.body.external_urls?.spotify || `https://open.spotify.com/playlist/${playlistId}`;
     }
 
-    // Use new /items endpoint (Development Mode); library uses deprecated /tracks which can 403
-    const accessToken = spotifyApi.getAccessToken();
+    // A synced playlist's first chunk replaces whatever it held; the rest are appended
     let tracksAdded = 0;
     let addTracksError = null;
     try {
       for (let i = 0; i < trackUris.length; i += ADD_TRACKS_CHUNK) {
         const chunk = trackUris.slice(i, i + ADD_TRACKS_CHUNK);
-        const itemsRes = await axios.post(
-          `https://api.spotify.com/v1/playlists/${playlistId}/items`,
-          { uris: chunk },
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-        if (itemsRes.status === 201) tracksAdded += chunk.length;
+        if (existing && i === 0) await client.replacePlaylistItems(playlistId, chunk);
+        else await client.addPlaylistItems(playlistId, chunk);
+        tracksAdded += chunk.length;
       }
     } catch (addErr) {
-      const body = addErr?.response?.data;
-      addTracksError = body?.error?.message ?? addErr?.message ?? 'Unknown error';
-      console.error('Add tracks to playlist failed (playlist was created):', addErr?.response?.status, addTracksError, body);
+      addTracksError = addErr?.body?.error?.message ?? addErr?.message ?? 'Unknown error';
+      console.error(`Add tracks to playlist failed (playlist was ${existing ? 'synced' : 'created'}):`, addErr?.statusCode, addTracksError, addErr?.body);
     }
 
-    const playlistUrl = playlist?.body?.external_urls?.spotify || `https://open.spotify.com/playlist/${playlistId}`;
-    res.status(201).json({
+    if (existing && !addTracksError) {
+      const refreshed = new Date().toISOString().slice(0, 10);
+      try {
+        await client.changePlaylistDetails(playlistId, { description: `${description} (refreshed ${refreshed})` });
+      } catch (err) {
+        console.warn('Updating synced playlist description failed:', err.statusCode, err.message);
+      }
+    }
+    if (!createCopy) {
+      await savePrimerPlaylist(userId, genre, period, { id: playlistId, url: playlistUrl, name: playlistName });
+    }
+
+    const failedMessage = existing
+      ? 'Playlist found but replacing its tracks failed. It may be only partly updated; try again.'
+      : 'Playlist created but adding tracks failed. You can open it and add songs manually.';
+    res.status(existing ? 200 : 201).json({
       playlist_id: playlistId,
       playlistUrl,
+      synced: Boolean(existing),
       trackCount: tracksAdded,
       requestedTrackCount: trackUris.length,
-      ...(addTracksError && { error: addTracksError, message: 'Playlist created but adding tracks failed. You can open it and add songs manually.' }),
+      ...(report && {
+        report,
+        sequence: selection.sequence,
+        seed: selection.seed,
+        targetDurationMs: selection.targetDurationMs,
+        durationShortfallMs,
+        durationMs: totalDurationMs(tracks),
+      }),
+      ...(addTracksError && { error: addTracksError, message: failedMessage }),
     });
   } catch (err) {
     const status = err.statusCode || 500;
@@ -898,6 +936,19 @@ app.post('/api/create-playlist', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
+  const scheduled = startChartRefreshSchedule();
+  if (scheduled > 0) console.log(`Refreshing ${scheduled} scheduled chart(s) in the background`);
 });
+
+/** Stop accepting requests, close the shared Chromium, then exit (Railway sends SIGTERM on deploy). */
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+  server.close();
+  stopChartRefreshSchedule();
+  shutdownBrowserPool().finally(() => process.exit(0));
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,57 @@
+import { getStorage } from './storage/index.js';
+import { aotyAlbumPath } from './aoty.js';
+
+/**
+ * Spotify matches chosen by hand for AOTY albums, kept in the album_match_overrides storage table by
+ * album path. An override replaces the automatic matcher for that album in every later playlist,
+ * whoever builds it.
+ */
+
+const OVERRIDES_TABLE = 'album_match_overrides';
+
+/**
+ * The override for an AOTY album, or null when there is none (or storage can't be read).
+ * @param {string} albumRef - AOTY album path or URL
+ * @returns {Promise<{ album_path: string, spotify_album_id: string, spotify_album: object, artist: string,
+ *   album: string, updated_at: string }|null>}
+ */
+export async function getMatchOverride(albumRef) {
+  const albumPath = aotyAlbumPath(albumRef);
+  if (!albumPath) return null;
+  try {
+    return await getStorage().get(OVERRIDES_TABLE, albumPath);
+  } catch (err) {
+    console.warn('Reading album match override failed:', albumPath, err.message);
+    return null;
+  }
+}
+
+/**
+ * Save (or replace) the override for an AOTY album.
+ * @param {string} albumRef - AOTY album path or URL
+ * @param {{ id: string, name: string, artist: string, releaseDate: string|null, url: string }} spotifyAlbum
+ * @param {{ artist?: string, album?: string }} [chartEntry] - the AOTY artist and title, for reference
+ * @returns {Promise<object>} the stored row
+ */
+export async function saveMatchOverride(albumRef, spotifyAlbum, { artist = null, album = null } = {}) {
+  const albumPath = aotyAlbumPath(albumRef);
+  if (!albumPath) throw new Error(`Not an AOTY album URL: "${albumRef}"`);
+  const row = {
+    album_path: albumPath,
+    spotify_album_id: spotifyAlbum.id,
+    spotify_album: spotifyAlbum,
+    artist,
+    album,
+    updated_at: new Date().toISOString(),
+  };
+  await getStorage().upsert(OVERRIDES_TABLE, row);
+  console.log(`Match override: ${albumPath} → ${spotifyAlbum.id} (${spotifyAlbum.artist} – ${spotifyAlbum.name})`);
+  return row;
+}
+
+/** Remove the override for an AOTY album. Resolves to whether one was removed. */
+export function deleteMatchOverride(albumRef) {
+  const albumPath = aotyAlbumPath(albumRef);
+  if (!albumPath) return Promise.resolve(false);
+  return getStorage().remove(OVERRIDES_TABLE, albumPath);
+}
@@ -0,0 +1,272 @@
+import { getAlbumTracks } from './albumTracks.js';
+import { findSpotifyAlbum, spotifyAlbumSummary } from './albumMatching.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { sequenceTracks } from './playlistSequencing.js';
+import { getMatchOverride } from './matchOverrides.js';
+import { SPOTIFY_CONCURRENCY } from './spotifyClient.js';
+import {
+  DEFAULT_TRACKS_PER_ALBUM,
+  DEFAULT_TRACK_STRATEGY,
+  getTrackStrategy,
+  strategyTrackCount,
+} from './trackStrategies.js';
+import { findTrackMatch } from './trackMatching.js';
+
+/**
+ * Turn chart entries into playlist tracks. Albums are matched on Spotify SPOTIFY_CONCURRENCY at a time;
+ * albums whose track-selection strategy (see trackStrategies.js) needs Spotify popularity then share one
+ * batched lookup.
+ */
+
+// How far past a target duration the last track may run
+export const DURATION_TOLERANCE_MS = 2 * 60 * 1000;
+
+function reportTrack(track, source) {
+  return {
+    uri: track.uri,
+    name: track.name,
+    artist: (track.artists || []).map((a) => a.name).join(', '),
+    durationMs: track.duration_ms ?? null,
+    previewUrl: track.preview_url || null,
+    source,
+  };
+}
+
+function skippedEntry(item, skipReason) {
+  return {
+    artist: item.artist,
+    album: item.album,
+    albumUrl: item.albumUrl || null,
+    status: 'skipped',
+    spotifyAlbum: null,
+    confidence: null,
+    override: false,
+    strategy: null,
+    tracks: [],
+    skipReason,
+  };
+}
+
+/**
+ * The Spotify album saved as a manual override for this chart entry, or null. An override whose album
+ * Spotify no longer has is ignored (and logged) so the automatic matcher gets a go.
+ */
+async function overrideAlbum(client, albumUrl) {
+  const override = albumUrl ? await getMatchOverride(albumUrl) : null;
+  if (!override) return null;
+  try {
+    const res = await client.getAlbum(override.spotify_album_id);
+    return res?.body?.id ? res.body : null;
+  } catch (e) {
+    if (e.statusCode !== 400 && e.statusCode !== 404) throw e;
+    console.warn(`Match override for ${override.album_path} points at a missing Spotify album:`, override.spotify_album_id);
+    return null;
+  }
+}
+
+/**
+ * Match one chart entry to a Spotify album and, for strategies that use them, find AOTY's top-rated
+ * tracks on it. Resolves to { entry, album } where album is { items, aotyMatches, popularity } as
+ * strategies expect (items empty when skipped).
+ */
+async function matchAlbum(client, item, strategy, count) {
+  const entry = skippedEntry(item, null);
+  const album = { items: [], aotyMatches: [], popularity: new Map() };
+
+  // AOTY's track list doubles as a track-count hint for picking the right Spotify edition
+  const aotyTracks = item.albumUrl && strategy.usesAotyRatings ? (await getAlbumTracks(item.albumUrl)).tracks : [];
+  let spotifyAlbum = await overrideAlbum(client, item.albumUrl);
+  if (spotifyAlbum) {
+    entry.override = true;
+    entry.confidence = 1;
+  } else {
+    const match = await findSpotifyAlbum(client, {
+      artist: item.artist,
+      album: item.album,
+      year: Number.parseInt(item.year, 10) || null,
+      recordType: item.recordType || null,
+      trackCount: aotyTracks.length || null,
+    });
+    entry.confidence = match.confidence;
+    if (!match.album) {
+      entry.skipReason = match.reason;
+      return { entry, album };
+    }
+    spotifyAlbum = match.album;
+  }
+  entry.spotifyAlbum = spotifyAlbumSummary(spotifyAlbum);
+
+  album.items = (await client.getAllAlbumTracks(spotifyAlbum.id)).filter((t) => t.uri);
+  if (album.items.length === 0) {
+    entry.skipReason = 'no_tracks';
+    return { entry, album };
+  }
+
+  for (const { name } of aotyTracks) {
+    if (album.aotyMatches.length >= count) break;
+    const track = findTrackMatch(name, album.items)?.track;
+    if (track && !album.aotyMatches.includes(track)) album.aotyMatches.push(track);
+  }
+  entry.status = 'matched';
+  entry.strategy = strategy.id;
+  return { entry, album };
+}
+
+/** Fill in Spotify popularity for every album the strategy wants it for, fetched in 50-id batches. */
+async function addTrackPopularity(client, matches, strategy, count) {
+  const wanted = matches
+    .filter(({ entry, album }) => entry.status === 'matched' && strategy.wantsPopularity(album, count))
+    .map(({ album }) => album);
+  const ids = wanted.flatMap((album) => album.items.map((t) => t.id).filter(Boolean));
+  if (ids.length === 0) return;
+  try {
+    const res = await client.getTracks(ids);
+    const popularity = new Map(res.body.tracks.filter((t) => t?.id).map((t) => [t.id, t.popularity ?? 0]));
+    for (const album of wanted) {
+      for (const t of album.items) {
+        if (popularity.has(t.id)) album.popularity.set(t.id, popularity.get(t.id));
+      }
+    }
+  } catch (e) {
+    // Without popularity the albums fall back to album order
+    console.warn('Spotify popularity lookup failed:', e.statusCode ?? '', e.message);
+  }
+}
+
+/** Let the strategy pick an album's tracks, then top up short picks in album order. */
+function selectTracks({ entry, album }, strategy, count) {
+  const picks = strategy.select(album, count).slice(0, count);
+  const used = new Set(picks.map((p) => p.track.uri));
+  for (const track of album.items) {
+    if (picks.length >= count) break;
+    if (!used.has(track.uri)) {
+      picks.push({ track, source: 'album-order' });
+      used.add(track.uri);
+    }
+  }
+  entry.tracks = picks.map(({ track, source }) => reportTrack(track, source));
+  return entry;
+}
+
+/**
+ * Trim picked tracks to a running time, in passes down the chart: every album's first pick in chart
+ * order, then every album's second, ... so each album that makes it in keeps at least one track. A track
+ * that would overshoot the target by more than DURATION_TOLERANCE_MS is passed over for shorter ones
+ * further down. Matched albums left with no tracks are marked skipped ("over_duration").
+ * Returns the running time kept.
+ */
+function fitToDuration(report, targetMs) {
+  const entries = report.filter((entry) => entry.status === 'matched');
+  const kept = entries.map(() => 0);
+  let total = 0;
+  // An album joins a round only if it kept all its earlier picks, so picks stay in strategy order
+  const inRound = (round) => [...entries.keys()].filter((i) => kept[i] === round && round < entries[i].tracks.length);
+  for (let round = 0, albums = inRound(0); total < targetMs && albums.length > 0; albums = inRound(++round)) {
+    for (const i of albums) {
+      if (total >= targetMs) break;
+      const duration = entries[i].tracks[round].durationMs || 0;
+      if (total + duration > targetMs + DURATION_TOLERANCE_MS) continue;
+      total += duration;
+      kept[i]++;
+    }
+  }
+  entries.forEach((entry, i) => {
+    entry.tracks = entry.tracks.slice(0, kept[i]);
+    if (kept[i] === 0) {
+      entry.status = 'skipped';
+      entry.skipReason = 'over_duration';
+    }
+  });
+  return total;
+}
+
+/**
+ * Keep at most maxTracks picks, cutting from the bottom of the chart. Matched albums left with no tracks
+ * are marked skipped ("over_track_limit").
+ */
+function capTrackCount(report, maxTracks) {
+  let remaining = maxTracks;
+  for (const entry of report) {
+    if (entry.status !== 'matched') continue;
+    entry.tracks = entry.tracks.slice(0, remaining);
+    remaining -= entry.tracks.length;
+    if (entry.tracks.length === 0) {
+      entry.status = 'skipped';
+      entry.skipReason = 'over_track_limit';
+    }
+  }
+}
+
+/**
+ * Pick tracks for every chart entry and describe how. Each report entry is
+ * { artist, album, albumUrl, status: "matched"|"skipped", spotifyAlbum, confidence, override, strategy,
+ *   tracks, skipReason } where spotifyAlbum is { id, name, artist, releaseDate, url } (null when unmatched),
+ * override is true when the album came from a manual match override (confidence 1), strategy is the
+ * track-selection strategy id, tracks are { uri, name, artist, durationMs, previewUrl, source } with
+ * source "aoty", "popularity" or "album-order", and skipReason is "no_results", "below_threshold",
+ * "no_tracks", "over_duration" (matched, but left out to keep to targetDurationMs), "over_track_limit"
+ * (matched, but past maxTracks), "spotify_auth" or "error".
+ * @param {ReturnType<import('./spotifyClient.js').createSpotifyClient>} client
+ * @param {{ artist: string, album: string, albumUrl?: string, year?: string|number, recordType?: string }[]} albums
+ * @param {{ strategy?: string, tracksPerAlbum?: number, sequence?: string, seed?: string,
+ *   targetDurationMs?: number, maxTracks?: number }} [options] - a registered strategy id (default
+ *   "aoty-favorites"), tracks per album (default 3; some strategies fix their own count), the playlist
+ *   order (see playlistSequencing.js; default chart rank), an optional running time to fill (see
+ *   fitToDuration; albums then get as many picks as it takes, in the strategy's order, unless the
+ *   strategy fixes its count) and an optional playlist size limit
+ * @returns {Promise<{ report: object[], tracks: object[], trackUris: string[], authError: Error|null,
+ *   durationShortfallMs: number|null }>} report in chart order; tracks (see playlistTracks) and trackUris
+ *   in playlist order; authError is the first 401/403 from Spotify, if any; durationShortfallMs is how far
+ *   the chart's tracks fell short of targetDurationMs (0 when it was met, null without a target)
+ */
+export async function resolvePlaylistTracks(client, albums, options = {}) {
+  const strategy = getTrackStrategy(options.strategy || DEFAULT_TRACK_STRATEGY);
+  if (!strategy) throw new Error(`Unknown track strategy: ${options.strategy}`);
+  // A target duration keeps picking in the strategy's order until the time is filled
+  const count = options.targetDurationMs
+    ? strategy.fixedCount ?? Infinity
+    : strategyTrackCount(strategy, options.tracksPerAlbum || DEFAULT_TRACKS_PER_ALBUM);
+
+  let authError = null;
+  const matches = await mapWithConcurrency(albums, SPOTIFY_CONCURRENCY, async (item) => {
+    try {
+      return await matchAlbum(client, item, strategy, count);
+    } catch (e) {
+      const status = e.statusCode ?? e.response?.status;
+      const auth = status === 401 || status === 403;
+      if (auth && !authError) authError = e;
+      console.warn(`Spotify search skip: ${item.artist} - ${item.album}`, e.message);
+      return { entry: skippedEntry(item, auth ? 'spotify_auth' : 'error'), album: null };
+    }
+  });
+
+  await addTrackPopularity(client, matches, strategy, count);
+  const report = matches.map((match) => (match.entry.status === 'matched' ? selectTracks(match, strategy, count) : match.entry));
+  let durationShortfallMs = null;
+  if (options.targetDurationMs) {
+    const kept = fitToDuration(report, options.targetDurationMs);
+    // Stopping within the tolerance of the target (no track short enough to fit) is not a shortfall
+    durationShortfallMs = kept < options.targetDurationMs - DURATION_TOLERANCE_MS ? options.targetDurationMs - kept : 0;
+  }
+  if (options.maxTracks) capTrackCount(report, options.maxTracks);
+  for (const entry of report) {
+    if (entry.status === 'matched') {
+      console.log(`${entry.artist} – ${entry.album}: ${entry.tracks.length} track(s) via ${entry.strategy} (confidence ${entry.confidence})`);
+    } else {
+      console.log(`Skipped ${entry.artist} – ${entry.album}: ${entry.skipReason}`);
+    }
+  }
+  const tracks = sequenceTracks(playlistTracks(report), { mode: options.sequence, seed: options.seed });
+  return { report, tracks, trackUris: tracks.map((t) => t.uri), authError, durationShortfallMs };
+}
+
+/**
+ * The playlist's tracks in order, each with the chart album it came from:
+ * { uri, name, artist, durationMs, previewUrl, source, album: { artist, title, albumUrl, spotifyAlbum } }.
+ */
+export function playlistTracks(report) {
+  return report.flatMap((entry) => entry.tracks.map((track) => ({
+    ...track,
+    album: { artist: entry.artist, title: entry.album, albumUrl: entry.albumUrl, spotifyAlbum: entry.spotifyAlbum },
+  })));
+}
@@ -0,0 +1,116 @@
+/**
+ * Playlist order. Tracks come out of the playlist builder album by album in chart order; a sequencing
+ * mode reorders them:
+ *   rank          — chart order, album by album (as picked)
+ *   chronological — albums by Spotify release date, oldest first, tracing the genre's history
+ *   interleave    — round-robin: every album's first pick, then every album's second, ...
+ *   shuffle       — seeded shuffle that keeps tracks by the same artist apart where it can
+ */
+
+export const SEQUENCING_MODES = ['rank', 'chronological', 'interleave', 'shuffle'];
+export const DEFAULT_SEQUENCING_MODE = 'rank';
+
+const albumKey = (track) => track.album?.albumUrl || `${track.album?.artist}\u0000${track.album?.title}`;
+
+/** Consecutive tracks from the same chart album, in the order given. */
+function albumGroups(tracks) {
+  const groups = [];
+  for (const track of tracks) {
+    const last = groups[groups.length - 1];
+    if (last && albumKey(last[0]) === albumKey(track)) last.push(track);
+    else groups.push([track]);
+  }
+  return groups;
+}
+
+/** Sortable "YYYY-MM-DD" from Spotify's day, month or year precision dates; null when unknown. */
+function releaseKey(group) {
+  const date = group[0].album?.spotifyAlbum?.releaseDate;
+  if (!date || !/^\d{4}/.test(date)) return null;
+  const [year, month = '01', day = '01'] = date.split('-');
+  return `${year}-${month}-${day}`;
+}
+
+function interleave(groups) {
+  const total = groups.reduce((sum, group) => sum + group.length, 0);
+  const out = [];
+  for (let i = 0; out.length < total; i++) {
+    for (const group of groups) {
+      if (i < group.length) out.push(group[i]);
+    }
+  }
+  return out;
+}
+
+/** Small seeded PRNG (mulberry32) over a 32-bit FNV-1a hash of the seed. */
+function seededRandom(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return () => {
+    h = (h + 0x6d2b79f5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const artistKey = (track) => (track.album?.artist || track.artist || '').toLowerCase();
+
+/**
+ * Fisher–Yates shuffle, then rebuilt so no two neighbours share an artist where possible: each step
+ * takes the next shuffled track by a different artist than the last, except when one artist has so many
+ * tracks left that they must be placed now to stay apart later.
+ */
+function shuffle(tracks, seed) {
+  const random = seededRandom(seed);
+  const pool = [...tracks];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  const out = [];
+  while (pool.length > 0) {
+    const previous = out.length > 0 ? artistKey(out[out.length - 1]) : null;
+    const remaining = new Map();
+    for (const track of pool) remaining.set(artistKey(track), (remaining.get(artistKey(track)) || 0) + 1);
+    const [busiest, busiestCount] = [...remaining].reduce((a, b) => (b[1] > a[1] ? b : a));
+    let index = -1;
+    if (busiest !== previous && busiestCount > pool.length - busiestCount) {
+      index = pool.findIndex((t) => artistKey(t) === busiest);
+    } else {
+      index = pool.findIndex((t) => artistKey(t) !== previous);
+    }
+    out.push(...pool.splice(Math.max(index, 0), 1));
+  }
+  return out;
+}
+
+/**
+ * Reorder playlist tracks (as returned by playlistTracks, album by album in chart order).
+ * @param {object[]} tracks
+ * @param {{ mode?: string, seed?: string|number }} [options] - mode from SEQUENCING_MODES; seed makes a
+ *   shuffle repeatable
+ * @returns {object[]} a new array
+ */
+export function sequenceTracks(tracks, { mode = DEFAULT_SEQUENCING_MODE, seed = '' } = {}) {
+  switch (mode) {
+    case 'rank':
+      return [...tracks];
+    case 'chronological': {
+      // Stable sort keeps chart order among albums from the same date; undated albums go last
+      const groups = albumGroups(tracks).map((group) => ({ group, key: releaseKey(group) }));
+      groups.sort((a, b) => (a.key === b.key ? 0 : a.key === null ? 1 : b.key === null ? -1 : a.key < b.key ? -1 : 1));
+      return groups.flatMap(({ group }) => group);
+    }
+    case 'interleave':
+      return interleave(albumGroups(tracks));
+    case 'shuffle':
+      return shuffle(tracks, seed);
+    default:
+      throw new Error(`Unknown sequencing mode: ${mode}`);
+  }
+}
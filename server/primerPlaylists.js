@@ -0,0 +1,88 @@
+import { getStorage } from './storage/index.js';
+
+/**
+ * Genre primer playlists already created on Spotify, kept in the primer_playlists storage table per
+ * Spotify user and chart configuration (genre and period). Generating the same primer again refreshes
+ * that playlist in place instead of creating a duplicate.
+ */
+
+const PLAYLISTS_TABLE = 'primer_playlists';
+
+/**
+ * Storage key for a user's primer of a genre over a period, e.g. "someuser:shoegaze:1990-1999".
+ * @param {string} userId - Spotify user id
+ * @param {string} genre
+ * @param {{ from: number, to: number }|null} period
+ */
+export function primerPlaylistKey(userId, genre, period) {
+  const range = period ? `${period.from}-${period.to}` : 'all';
+  return `${userId}:${genre.trim().toLowerCase()}:${range}`;
+}
+
+/**
+ * The playlist recorded for this user and configuration, or null when there is none (or storage
+ * can't be read).
+ * @returns {Promise<{ id: string, spotify_user_id: string, genre: string, period: object|null,
+ *   playlist_id: string, playlist_url: string, name: string, updated_at: string }|null>}
+ */
+export async function getPrimerPlaylist(userId, genre, period) {
+  const key = primerPlaylistKey(userId, genre, period);
+  try {
+    return await getStorage().get(PLAYLISTS_TABLE, key);
+  } catch (err) {
+    console.warn('Reading primer playlist failed:', key, err.message);
+    return null;
+  }
+}
+
+/**
+ * Record (or refresh) the playlist for this user and configuration. Failures are logged, not thrown:
+ * the playlist exists on Spotify either way.
+ * @param {{ id: string, url: string, name: string }} playlist
+ */
+export async function savePrimerPlaylist(userId, genre, period, playlist) {
+  const row = {
+    id: primerPlaylistKey(userId, genre, period),
+    spotify_user_id: userId,
+    genre,
+    period: period || null,
+    playlist_id: playlist.id,
+    playlist_url: playlist.url,
+    name: playlist.name,
+    updated_at: new Date().toISOString(),
+  };
+  try {
+    await getStorage().upsert(PLAYLISTS_TABLE, row);
+  } catch (err) {
+    console.warn('Saving primer playlist failed:', row.id, err.message);
+  }
+  return row;
+}
+
+/**
+ * The recorded playlist if it can still be refreshed: it exists, belongs to the user and they still
+ * follow it (deleting a playlist on Spotify only unfollows it). Otherwise the record is dropped and
+ * null returned, so a new playlist gets created.
+ * @param {ReturnType<import('./spotifyClient.js').createSpotifyClient>} client
+ */
+export async function findSyncablePlaylist(client, userId, genre, period) {
+  const row = await getPrimerPlaylist(userId, genre, period);
+  if (!row) return null;
+  let reason = null;
+  try {
+    const playlist = (await client.getPlaylist(row.playlist_id)).body;
+    if (playlist?.owner?.id !== userId) reason = 'owned by someone else';
+    else if (!(await client.isFollowingPlaylist(row.playlist_id, userId))) reason = 'deleted';
+  } catch (err) {
+    if (err.statusCode !== 403 && err.statusCode !== 404) throw err;
+    reason = 'not found';
+  }
+  if (!reason) return row;
+  console.log(`Primer playlist ${row.playlist_id} for ${row.id} is ${reason}; creating a new one`);
+  try {
+    await getStorage().remove(PLAYLISTS_TABLE, row.id);
+  } catch (err) {
+    console.warn('Removing primer playlist failed:', row.id, err.message);
+  }
+  return null;
+}
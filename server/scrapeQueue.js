@@ -0,0 +1,71 @@
+/**
+ * Single-flight chart scrapes with a global concurrency cap. Requests for a key that is already queued
+ * or running join that job instead of starting their own; at most CHART_SCRAPE_CONCURRENCY jobs run at
+ * once and the rest wait in FIFO order. Finished jobs are kept briefly so callers told to poll (see
+ * queuePosition) can pick up the result.
+ */
+
+const CHART_SCRAPE_CONCURRENCY = Number.parseInt(process.env.CHART_SCRAPE_CONCURRENCY, 10) || 2;
+const FINISHED_JOB_TTL_MS = 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function startNext() {
+  while (running < CHART_SCRAPE_CONCURRENCY && queue.length > 0) {
+    const job = queue.shift();
+    running++;
+    job.state = 'running';
+    job.start();
+  }
+}
+
+/**
+ * Queue run() under `key`, or join the job already queued/running (or finished in the last minute) for
+ * that key when it covers `depth`. A deeper request than the current job waits for it, then runs its own.
+ * @param {string} key - e.g. the chart cache key
+ * @param {() => Promise<T>} run
+ * @param {{ depth?: number }} [options]
+ * @returns {{ key: string, depth: number, state: 'queued'|'running'|'done', promise: Promise<T> }}
+ * @template T
+ */
+export function enqueueScrape(key, run, { depth = 0 } = {}) {
+  const existing = jobs.get(key);
+  if (existing && existing.depth >= depth) return existing;
+
+  const job = { key, depth, state: 'queued' };
+  const previous = existing?.state !== 'done' ? existing?.promise : null;
+  job.promise = new Promise((resolve, reject) => {
+    job.start = () => {
+      Promise.resolve(previous)
+        .catch(() => {})
+        .then(run)
+        .then(resolve, reject)
+        .finally(() => {
+          job.state = 'done';
+          running--;
+          startNext();
+          setTimeout(() => {
+            if (jobs.get(key) === job) jobs.delete(key);
+          }, FINISHED_JOB_TTL_MS).unref();
+        });
+    };
+  });
+  // Callers that only poll may never await the promise; failures are reported through it when they do
+  job.promise.catch(() => {});
+  jobs.set(key, job);
+  queue.push(job);
+  startNext();
+  return job;
+}
+
+/** 1-based place of a queued job in line (1 = runs next), or 0 once it is running or done. */
+export function queuePosition(job) {
+  return job.state === 'queued' ? queue.indexOf(job) + 1 : 0;
+}
+
+/** Running and queued scrape counts, for health output. */
+export function getScrapeQueueStats() {
+  return { running, queued: queue.length, concurrency: CHART_SCRAPE_CONCURRENCY };
+}
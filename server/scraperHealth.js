@@ -0,0 +1,72 @@
+/**
+ * In-memory scraper health: the outcome of recent scrapes per AOTY page type ("chart", "album",
+ * "genres"), plus which tier served them since startup. Backs GET /api/scraper/health.
+ */
+
+const RECENT_LIMIT = 100;
+const PAGE_TYPES = ['chart', 'album', 'genres'];
+
+const recent = Object.fromEntries(PAGE_TYPES.map((t) => [t, []]));
+const tierCounts = Object.fromEntries(PAGE_TYPES.map((t) => [t, {}]));
+
+/**
+ * Record one finished scrape (after every tier it needed).
+ * @param {'chart'|'album'|'genres'} pageType
+ * @param {{ ok: boolean, tier: string|null, strategy: string|null, rows: number,
+ *   anomalies: { type: string, count: number }[], reason?: string|null, url?: string }} outcome
+ */
+export function recordScrape(pageType, outcome) {
+  const entry = { at: new Date().toISOString(), ...outcome };
+  const list = recent[pageType];
+  list.push(entry);
+  if (list.length > RECENT_LIMIT) list.shift();
+
+  const tier = outcome.tier || 'failed';
+  tierCounts[pageType][tier] = (tierCounts[pageType][tier] || 0) + 1;
+
+  if (!outcome.ok || outcome.anomalies?.length) {
+    const anomalies = (outcome.anomalies || []).map((a) => `${a.type}×${a.count}`).join(', ');
+    console.warn(`Scraper ${pageType} ${outcome.ok ? 'anomalies' : `failed (${outcome.reason})`}:`, outcome.url || '', anomalies);
+  }
+}
+
+/** Merge parser reports from several pages into one { strategy, anomalies } (counts summed by type). */
+export function summarizeReports(reports) {
+  const counts = new Map();
+  for (const report of reports) {
+    for (const { type, count } of report.anomalies || []) counts.set(type, (counts.get(type) || 0) + count);
+  }
+  return {
+    strategy: reports.find((r) => r.strategy !== 'none')?.strategy || reports[0]?.strategy || null,
+    anomalies: Array.from(counts, ([type, count]) => ({ type, count })),
+  };
+}
+
+function countBy(values) {
+  const out = {};
+  for (const v of values) out[v] = (out[v] || 0) + 1;
+  return out;
+}
+
+/** Per page type: recent success rate, strategies and anomalies seen, failure reasons and tier counts. */
+export function getScraperHealth() {
+  const pageTypes = {};
+  for (const pageType of PAGE_TYPES) {
+    const list = recent[pageType];
+    const successes = list.filter((e) => e.ok);
+    const failures = list.filter((e) => !e.ok);
+    pageTypes[pageType] = {
+      attempts: list.length,
+      successes: successes.length,
+      successRate: list.length ? Number((successes.length / list.length).toFixed(3)) : null,
+      withAnomalies: list.filter((e) => e.anomalies?.length).length,
+      strategies: countBy(successes.map((e) => e.strategy)),
+      anomalies: countBy(list.flatMap((e) => (e.anomalies || []).map((a) => a.type))),
+      failureReasons: countBy(failures.map((e) => e.reason || 'unknown')),
+      lastSuccessAt: successes.at(-1)?.at || null,
+      lastFailure: failures.at(-1) || null,
+      tiersSinceStartup: { ...tierCounts[pageType] },
+    };
+  }
+  return { window: RECENT_LIMIT, pageTypes };
+}
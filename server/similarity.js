@@ -0,0 +1,21 @@
+/** String similarity helpers shared by genre, album and track matching. */
+
+/** Levenshtein distance between two strings. */
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** 1 - edit distance / longer length: 1 for equal strings, 0 for nothing in common (or an empty side). */
+export function similarityRatio(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
@@ -0,0 +1,162 @@
+import axios from 'axios';
+import SpotifyWebApi from 'spotify-web-api-node';
+
+/**
+ * Spotify Web API client for one user's access token, used while building playlists. Rate limits (429)
+ * wait for Retry-After and transient failures (5xx, dropped connections, timeouts) are retried with
+ * exponential backoff. Calls that create something (playlists, added items) are only retried on 429,
+ * since a 5xx may have gone through. Track lookups are batched into getTracks calls of 50 ids.
+ */
+
+export const SPOTIFY_CONCURRENCY = Math.max(1, Number.parseInt(process.env.SPOTIFY_CONCURRENCY, 10) || 4);
+
+const API_BASE = 'https://api.spotify.com/v1';
+const MAX_ATTEMPTS = 4;
+const BACKOFF_BASE_MS = 500;
+// Longest Retry-After we sit through; a longer ban goes back to the caller as the 429 it is
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+const TRACKS_BATCH_SIZE = 50;
+// Network errors worth another try (a DNS miss or refused connection won't fix itself in seconds)
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function errorStatus(err) {
+  return err?.statusCode ?? err?.response?.status ?? null;
+}
+
+/** Milliseconds to wait before retrying a failed call, or null when it should not be retried. */
+function retryDelayMs(err, attempt, idempotent) {
+  const status = errorStatus(err);
+  if (status === 429) {
+    const seconds = Number.parseFloat(err.headers?.['retry-after'] ?? err.response?.headers?.['retry-after']);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : BACKOFF_BASE_MS * 2 ** attempt;
+    return ms <= MAX_RETRY_AFTER_MS ? ms : null;
+  }
+  if (!idempotent) return null;
+  const transient = status === null ? TRANSIENT_CODES.has(err?.code) || err?.name === 'TimeoutError' : status >= 500;
+  return transient ? BACKOFF_BASE_MS * 2 ** attempt : null;
+}
+
+/**
+ * Run a Spotify call, retrying rate limits and transient failures. The last error is rethrown.
+ * @template T
+ * @param {() => Promise<T>} call
+ * @param {{ label?: string, idempotent?: boolean }} [options] - idempotent: false retries 429s only
+ * @returns {Promise<T>}
+ */
+export async function withSpotifyRetry(call, { label = 'Spotify request', idempotent = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (err) {
+      const delay = attempt + 1 < MAX_ATTEMPTS ? retryDelayMs(err, attempt, idempotent) : null;
+      if (delay === null) throw err;
+      console.warn(`${label} failed (${errorStatus(err) ?? err.code ?? err.name}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * A client bound to one access token. searchAlbums, getAlbum, getMe, createPlaylist, getPlaylist and
+ * changePlaylistDetails return what spotify-web-api-node returns ({ body, ... }); errors carry
+ * statusCode, body and headers.
+ * @param {string} accessToken
+ */
+export function createSpotifyClient(accessToken) {
+  const api = new SpotifyWebApi({ accessToken });
+
+  // Direct calls for endpoints the library lacks or pages too little of; errors shaped like the library's
+  const request = async (method, url, data) => {
+    try {
+      const res = await axios({
+        method,
+        url: url.startsWith('http') ? url : `${API_BASE}${url}`,
+        data,
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+      });
+      return res.data;
+    } catch (err) {
+      if (err.response) {
+        err.statusCode = err.response.status;
+        err.body = err.response.data;
+        err.headers = err.response.headers;
+        err.message = err.response.data?.error?.message || err.message;
+      }
+      throw err;
+    }
+  };
+
+  return {
+    getAccessToken: () => accessToken,
+
+    searchAlbums: (query, options) =>
+      withSpotifyRetry(() => api.searchAlbums(query, options), { label: 'Spotify album search' }),
+
+    getAlbum: (albumId) => withSpotifyRetry(() => api.getAlbum(albumId), { label: 'Spotify album lookup' }),
+
+    getMe: () => withSpotifyRetry(() => api.getMe(), { label: 'Spotify profile lookup' }),
+
+    createPlaylist: (name, options) =>
+      withSpotifyRetry(() => api.createPlaylist(name, options), { label: 'Spotify playlist create', idempotent: false }),
+
+    getPlaylist: (playlistId) =>
+      withSpotifyRetry(() => api.getPlaylist(playlistId, { fields: 'id,name,owner(id),external_urls' }), {
+        label: 'Spotify playlist lookup',
+      }),
+
+    /** Update a playlist's name, description or visibility. */
+    changePlaylistDetails: (playlistId, details) =>
+      withSpotifyRetry(() => api.changePlaylistDetails(playlistId, details), { label: 'Spotify playlist update' }),
+
+    /** Whether a user follows (i.e. still has in their library) a playlist. */
+    async isFollowingPlaylist(playlistId, userId) {
+      const res = await withSpotifyRetry(
+        () => request('get', `/playlists/${playlistId}/followers/contains?ids=${encodeURIComponent(userId)}`),
+        { label: 'Spotify playlist follow check' },
+      );
+      return Array.isArray(res) ? res[0] === true : true;
+    },
+
+    /** Every track on an album (simplified track objects), following pagination. */
+    async getAllAlbumTracks(albumId) {
+      const all = [];
+      let url = `/albums/${albumId}/tracks?limit=50&offset=0`;
+      while (url) {
+        const page = await withSpotifyRetry(() => request('get', url), { label: 'Spotify album tracks' });
+        if (!page?.items?.length) break;
+        all.push(...page.items);
+        url = page.next || null;
+      }
+      return all;
+    },
+
+    /**
+     * Full track objects for any number of ids, fetched 50 at a time. Resolves like the library's
+     * getTracks: { body: { tracks } }, with tracks in id order (null for ids Spotify doesn't know).
+     */
+    async getTracks(ids) {
+      const tracks = [];
+      for (let i = 0; i < ids.length; i += TRACKS_BATCH_SIZE) {
+        const batch = ids.slice(i, i + TRACKS_BATCH_SIZE);
+        const res = await withSpotifyRetry(() => api.getTracks(batch), { label: 'Spotify tracks lookup' });
+        tracks.push(...(res?.body?.tracks || []));
+      }
+      return { body: { tracks } };
+    },
+
+    /** Append up to 100 track URIs to a playlist. Uses /items, which Development Mode apps may call. */
+    addPlaylistItems: (playlistId, uris) =>
+      withSpotifyRetry(() => request('post', `/playlists/${playlistId}/items`, { uris }), {
+        label: 'Spotify playlist add',
+        idempotent: false,
+      }),
+
+    /** Replace a playlist's items with up to 100 track URIs (safe to retry: the result is the same). */
+    replacePlaylistItems: (playlistId, uris) =>
+      withSpotifyRetry(() => request('put', `/playlists/${playlistId}/items`, { uris }), {
+        label: 'Spotify playlist replace',
+      }),
+  };
+}
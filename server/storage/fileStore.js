@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { byColumnDesc, tableKey } from './tables.js';
+
+/**
+ * File backend: each table is a JSON object of rows by key in `<dir>/<table>.json`, loaded on first use
+ * and rewritten (via a temp file and rename) after every change. Writes per table are serialized.
+ * @param {{ dir: string }} options
+ */
+export function createFileStore({ dir }) {
+  const tables = new Map();
+  const writes = new Map();
+
+  async function load(table) {
+    tableKey(table);
+    if (!tables.has(table)) {
+      tables.set(table, (async () => {
+        try {
+          return new Map(Object.entries(JSON.parse(await fs.readFile(path.join(dir, `${table}.json`), 'utf8'))));
+        } catch (err) {
+          if (err.code === 'ENOENT') return new Map();
+          throw err;
+        }
+      })());
+    }
+    return tables.get(table);
+  }
+
+  function save(table, rows) {
+    const file = path.join(dir, `${table}.json`);
+    const previous = writes.get(table) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(Object.fromEntries(rows), null, 2));
+      await fs.rename(tmp, file);
+    });
+    writes.set(table, write);
+    return write;
+  }
+
+  return {
+    name: 'file',
+    async get(table, key) {
+      const row = (await load(table)).get(String(key));
+      return row ? structuredClone(row) : null;
+    },
+    async list(table) {
+      return Array.from((await load(table)).values(), (row) => structuredClone(row));
+    },
+    async recent(table, orderColumn, limit) {
+      return Array.from((await load(table)).values())
+        .sort(byColumnDesc(orderColumn))
+        .slice(0, limit)
+        .map((row) => structuredClone(row));
+    },
+    async upsert(table, rows) {
+      const keyColumn = tableKey(table);
+      const stored = await load(table);
+      for (const row of [rows].flat()) {
+        const key = String(row[keyColumn]);
+        stored.set(key, { ...stored.get(key), ...structuredClone(row) });
+      }
+      await save(table, stored);
+    },
+    async remove(table, key) {
+      const stored = await load(table);
+      const removed = stored.delete(String(key));
+      if (removed) await save(table, stored);
+      return removed;
+    },
+  };
+}
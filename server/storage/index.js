@@ -0,0 +1,48 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSupabase, isSupabaseConfigured } from '../supabaseClient.js';
+import { createFileStore } from './fileStore.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createSupabaseStore } from './supabaseStore.js';
+
+/**
+ * Storage for the server's cache tables (chart cache, genre tree, album tracks, ...). Every backend
+ * exposes the same async methods, all rejecting on failure:
+ *   get(table, key) -> row | null
+ *   list(table) -> row[] (Supabase returns at most 1000 rows, in no set order)
+ *   recent(table, orderColumn, limit) -> the limit rows with the highest orderColumn, highest first
+ *   upsert(table, row | row[]) -> merges by the table's key column (see tables.js)
+ *   remove(table, key) -> whether a row was removed
+ *
+ * STORAGE_BACKEND picks "supabase", "file" (JSON files in STORAGE_DIR) or "memory". Without it,
+ * production and any environment with Supabase credentials use Supabase; local dev falls back to files.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', '.data');
+
+const BACKENDS = {
+  supabase: () => createSupabaseStore(getSupabase),
+  file: () => createFileStore({ dir: STORAGE_DIR }),
+  memory: () => createMemoryStore(),
+};
+
+function defaultBackend() {
+  if (process.env.NODE_ENV === 'production' || isSupabaseConfigured()) return 'supabase';
+  return 'file';
+}
+
+let storage = null;
+
+/** The configured storage backend (created on first use). */
+export function getStorage() {
+  if (!storage) {
+    const name = (process.env.STORAGE_BACKEND || defaultBackend()).toLowerCase();
+    if (!BACKENDS[name]) {
+      throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    storage = BACKENDS[name]();
+    console.log(`Using ${name} storage`);
+  }
+  return storage;
+}
@@ -0,0 +1,38 @@
+import { byColumnDesc, tableKey } from './tables.js';
+
+/** In-memory backend: one Map per table, gone on restart. Handy for tests and throwaway runs. */
+export function createMemoryStore() {
+  const tables = new Map();
+  const rowsOf = (table) => {
+    tableKey(table);
+    if (!tables.has(table)) tables.set(table, new Map());
+    return tables.get(table);
+  };
+
+  return {
+    name: 'memory',
+    async get(table, key) {
+      const row = rowsOf(table).get(key);
+      return row ? structuredClone(row) : null;
+    },
+    async list(table) {
+      return Array.from(rowsOf(table).values(), (row) => structuredClone(row));
+    },
+    async recent(table, orderColumn, limit) {
+      return Array.from(rowsOf(table).values())
+        .sort(byColumnDesc(orderColumn))
+        .slice(0, limit)
+        .map((row) => structuredClone(row));
+    },
+    async upsert(table, rows) {
+      const keyColumn = tableKey(table);
+      const store = rowsOf(table);
+      for (const row of [rows].flat()) {
+        store.set(row[keyColumn], { ...store.get(row[keyColumn]), ...structuredClone(row) });
+      }
+    },
+    async remove(table, key) {
+      return rowsOf(table).delete(key);
+    },
+  };
+}
@@ -0,0 +1,50 @@
+import { tableKey } from './tables.js';
+
+/** Throw Supabase's { error } results so every backend fails the same way. */
+function check({ data, error }, action, table) {
+  if (error) throw new Error(`Supabase ${action} on ${table} failed: ${error.message}`);
+  return data;
+}
+
+/**
+ * Supabase backend: tables map one-to-one onto the tables created by supabase/migrations.
+ * @param {() => import('@supabase/supabase-js').SupabaseClient} getClient - called on first use
+ */
+export function createSupabaseStore(getClient) {
+  return {
+    name: 'supabase',
+    async get(table, key) {
+      return check(
+        await getClient().from(table).select('*').eq(tableKey(table), key).maybeSingle(),
+        'select',
+        table,
+      );
+    },
+    async list(table) {
+      return check(await getClient().from(table).select('*'), 'select', table) || [];
+    },
+    async recent(table, orderColumn, limit) {
+      tableKey(table); // throws for tables not listed in tables.js, like the other methods
+      return check(
+        await getClient().from(table).select('*').order(orderColumn, { ascending: false }).limit(limit),
+        'select',
+        table,
+      ) || [];
+    },
+    async upsert(table, rows) {
+      check(
+        await getClient().from(table).upsert(rows, { onConflict: tableKey(table) }),
+        'upsert',
+        table,
+      );
+    },
+    async remove(table, key) {
+      const data = check(
+        await getClient().from(table).delete().eq(tableKey(table), key).select(tableKey(table)),
+        'delete',
+        table,
+      );
+      return (data || []).length > 0;
+    },
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Tables known to the storage layer, by name, with the column that identifies a row. Backends use the
+ * key column for get/upsert/remove; add new tables here (plus a Supabase migration).
+ */
+const TABLE_KEYS = {
+  rym_charts_cache: 'genre',
+  aoty_genres: 'slug',
+  aoty_album_tracks: 'album_path',
+  admin_audit_log: 'id',
+  album_match_overrides: 'album_path',
+  primer_playlists: 'id',
+};
+
+/** Newest-first comparator on a column, for backends that sort rows themselves. */
+export function byColumnDesc(column) {
+  return (a, b) => {
+    if (a[column] === b[column]) return 0;
+    return a[column] > b[column] ? -1 : 1;
+  };
+}
+
+/** Key column of a table; throws for tables not listed in TABLE_KEYS. */
+export function tableKey(table) {
+  const key = TABLE_KEYS[table];
+  if (!key) throw new Error(`Unknown storage table "${table}"`);
+  return key;
+}
@@ -0,0 +1,8 @@
+-- Chart depth: how many albums the cached list was scraped for (deepest fetch wins).
+-- Rows from before this column existed were scraped 20 deep.
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+alter table public.rym_charts_cache
+  add column if not exists depth integer not null default 20;
+
+comment on column public.rym_charts_cache.depth is 'Number of albums requested when the chart was scraped; shorter requests are served as slices';
@@ -0,0 +1,18 @@
+-- AOTY genre taxonomy scraped from genre.php: one row per genre with its AOTY id and parent genre.
+-- Refreshed by the server after 24h; lets the genre tree survive restarts and failed scrapes.
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+create table if not exists public.aoty_genres (
+  slug text primary key,
+  name text not null,
+  aoty_id integer,
+  parent_slug text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists aoty_genres_parent_slug_idx on public.aoty_genres (parent_slug);
+
+-- RLS: only server (service_role) can access
+alter table public.aoty_genres enable row level security;
+
+comment on table public.aoty_genres is 'AOTY genre hierarchy (parent_slug null for top-level genres)';
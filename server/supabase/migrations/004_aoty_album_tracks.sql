@@ -0,0 +1,16 @@
+-- Per-album AOTY track ratings, keyed by AOTY album path (e.g. /album/2126-slowdive-souvlaki.php).
+-- tracks holds [{ "name", "rating", "duration" }] highest rated first; duration is in seconds.
+-- Rows expire after ALBUM_TRACKS_TTL_HOURS (server env, default 30 days).
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+create table if not exists public.aoty_album_tracks (
+  album_path text primary key,
+  tracks jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- RLS: only server (service_role) can access
+alter table public.aoty_album_tracks enable row level security;
+
+comment on table public.aoty_album_tracks is 'Cached AOTY track ratings per album; refreshed after ALBUM_TRACKS_TTL_HOURS';
@@ -0,0 +1,19 @@
+-- Audit log of admin API actions (cache refresh/delete, warm-up, genre list reset).
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+create table if not exists public.admin_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  action text not null,
+  target text,
+  details jsonb not null default '{}'::jsonb,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on public.admin_audit_log (created_at desc);
+
+-- RLS: only server (service_role) can access
+alter table public.admin_audit_log enable row level security;
+
+comment on table public.admin_audit_log is 'One row per admin API action';
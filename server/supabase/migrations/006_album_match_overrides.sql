@@ -0,0 +1,18 @@
+-- Spotify albums chosen by hand for AOTY albums the matcher missed or got wrong, keyed by AOTY album path.
+-- spotify_album holds { "id", "name", "artist", "releaseDate", "url" } as shown when the override was saved.
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+create table if not exists public.album_match_overrides (
+  album_path text primary key,
+  spotify_album_id text not null,
+  spotify_album jsonb not null default '{}'::jsonb,
+  artist text,
+  album text,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+-- RLS: only server (service_role) can access
+alter table public.album_match_overrides enable row level security;
+
+comment on table public.album_match_overrides is 'Manual Spotify matches; used instead of search when building playlists';
@@ -0,0 +1,23 @@
+-- Genre primer playlists created on Spotify, one per Spotify user, genre and period
+-- (id is "<spotify user id>:<genre>:<from>-<to>", or ":all" without a period).
+-- Regenerating a primer refreshes the playlist recorded here instead of creating another.
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+create table if not exists public.primer_playlists (
+  id text primary key,
+  spotify_user_id text not null,
+  genre text not null,
+  period jsonb,
+  playlist_id text not null,
+  playlist_url text,
+  name text,
+  updated_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists primer_playlists_user_idx on public.primer_playlists (spotify_user_id);
+
+-- RLS: only server (service_role) can access
+alter table public.primer_playlists enable row level security;
+
+comment on table public.primer_playlists is 'Primer playlist per user and genre configuration; synced in place on regenerate';
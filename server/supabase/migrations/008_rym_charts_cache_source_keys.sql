@@ -0,0 +1,25 @@
+-- Chart cache rows written before chart sources existed are keyed by the bare genre as typed
+-- ("synth pop"). The server now keys rows "<source>:<genre slug>[:<from>-<to>]" (e.g. "aoty-user:synth-pop")
+-- and never reads the old ones. This moves each legacy row to its new key, keeping the newest when several
+-- map to one key, and drops the rest (including any whose new key already has a row).
+-- Run this in Supabase Dashboard → SQL Editor → New query, then Run.
+
+with legacy as (
+  select genre as old_key, new_key,
+         row_number() over (partition by new_key order by updated_at desc) as newest
+  from (
+    select genre, updated_at,
+           'aoty-user:' || regexp_replace(regexp_replace(lower(trim(genre)), '\s+', '-', 'g'), '[^a-z0-9-]', '', 'g') as new_key
+    from public.rym_charts_cache
+    where position(':' in genre) = 0
+  ) keyed
+)
+update public.rym_charts_cache c
+set genre = legacy.new_key
+from legacy
+where c.genre = legacy.old_key
+  and legacy.newest = 1
+  and legacy.new_key <> 'aoty-user:'
+  and not exists (select 1 from public.rym_charts_cache n where n.genre = legacy.new_key);
+
+delete from public.rym_charts_cache where position(':' in genre) = 0;
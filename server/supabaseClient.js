@@ -3,12 +3,23 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let supabase = null;
 
-if (!supabaseUrl || !supabaseServiceRoleKey) {
-  throw new Error('Missing Supabase environment variables');
+/** True when SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are both set. */
+export function isSupabaseConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
 }
 
-// Create Supabase client with service role key for admin operations
-export const supabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+/**
+ * Supabase client with the service role key for admin operations, created on first use so the server
+ * can start (e.g. on another storage backend) without Supabase configured.
+ */
+export function getSupabase() {
+  if (!supabase) {
+    if (!isSupabaseConfigured()) {
+      throw new Error('Missing Supabase environment variables');
+    }
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  }
+  return supabase;
+}
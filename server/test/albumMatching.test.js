@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ALBUM_MATCH_THRESHOLD,
+  albumSearchQueries,
+  normalizeAlbumTitle,
+  scoreAlbumCandidate,
+  searchAlbumCandidates,
+} from '../albumMatching.js';
+
+const souvlaki = { artist: 'Slowdive', album: 'Souvlaki', year: 1993, trackCount: 10 };
+const candidate = (name, artist, extra = {}) => ({ name, artists: [{ name: artist }], album_type: 'album', ...extra });
+
+test('normalizeAlbumTitle drops edition suffixes but keeps other parentheticals', () => {
+  assert.equal(normalizeAlbumTitle('Loveless [Remastered 2012]'), 'loveless');
+  assert.equal(normalizeAlbumTitle('Blonde - 10th Anniversary Edition'), 'blonde');
+  assert.equal(normalizeAlbumTitle('Lemonade (Deluxe Edition)'), 'lemonade');
+  assert.equal(normalizeAlbumTitle('Songs (Live)'), 'songs live');
+  assert.equal(normalizeAlbumTitle('Café Tacvba'), 'cafe tacvba');
+});
+
+test('albumSearchQueries falls back from fielded to plain and stripped queries', () => {
+  assert.deepEqual(albumSearchQueries('Beyoncé', 'Lemonade (Deluxe Edition)'), [
+    'artist:Beyoncé album:Lemonade (Deluxe Edition)',
+    'Beyoncé Lemonade (Deluxe Edition)',
+    'artist:beyonce album:lemonade',
+    'beyonce lemonade',
+  ]);
+});
+
+test('scoreAlbumCandidate prefers the original release and rejects look-alikes', () => {
+  const score = (c) => scoreAlbumCandidate(souvlaki, c).confidence;
+  const original = score(candidate('Souvlaki', 'Slowdive', { release_date: '1993-05-17', total_tracks: 10 }));
+  const deluxe = score(candidate('Souvlaki (Deluxe Edition)', 'Slowdive', { release_date: '2005-01-01', total_tracks: 20 }));
+  const tribute = score(candidate('A Tribute to Slowdive: Souvlaki', 'Various Artists', { album_type: 'compilation' }));
+  const sameTitle = score(candidate('Souvlaki', 'Some DJ', { release_date: '2019-01-01', album_type: 'single', total_tracks: 1 }));
+  const otherAlbum = score(candidate('Pygmalion', 'Slowdive', { release_date: '1995-01-01', total_tracks: 9 }));
+
+  assert.equal(original, 1);
+  assert.ok(deluxe < original && deluxe >= ALBUM_MATCH_THRESHOLD);
+  for (const wrong of [tribute, sameTitle, otherAlbum]) assert.ok(wrong < ALBUM_MATCH_THRESHOLD);
+});
+
+test('scoreAlbumCandidate leaves unknown year and track count out of the weighting', () => {
+  const { confidence, scores } = scoreAlbumCandidate(
+    { artist: 'The Cure', album: 'Disintegration' },
+    candidate('Disintegration', 'Cure'),
+  );
+  assert.equal(scores.year, null);
+  assert.equal(scores.tracks, null);
+  assert.equal(confidence, 1);
+});
+
+test('searchAlbumCandidates merges results across queries, best first, or runs only a typed query', async () => {
+  const queries = [];
+  const results = [
+    [{ id: 'pyg', ...candidate('Pygmalion', 'Slowdive') }],
+    [{ id: 'souv', ...candidate('Souvlaki', 'Slowdive', { release_date: '1993-05-17' }) }, { id: 'pyg', ...candidate('Pygmalion', 'Slowdive') }],
+  ];
+  const spotifyApi = {
+    async searchAlbums(query) {
+      queries.push(query);
+      return { body: { albums: { items: results[queries.length - 1] || [] } } };
+    },
+  };
+
+  const candidates = await searchAlbumCandidates(spotifyApi, souvlaki);
+  assert.equal(queries.length, albumSearchQueries('Slowdive', 'Souvlaki').length);
+  assert.deepEqual(candidates.map((c) => c.id), ['souv', 'pyg']);
+  assert.equal(candidates[0].url, 'https://open.spotify.com/album/souv');
+  assert.equal(candidates[0].releaseDate, '1993-05-17');
+
+  queries.length = 0;
+  await searchAlbumCandidates(spotifyApi, souvlaki, 'slowdive 1993');
+  assert.deepEqual(queries, ['slowdive 1993']);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAlbumDetails, parseAlbumTracks, parseChartPage, parseGenreList } from '../aotyParsers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('parseChartPage reads the .albumTitle/.artistTitle block layout', () => {
+  const { albums, strategy, anomalies } = parseChartPage(fixture('chart-album-blocks.html'));
+  assert.equal(strategy, 'title-blocks');
+  assert.deepEqual(anomalies, []);
+  assert.deepEqual(albums, [
+    { rank: 1, artist: 'My Bloody Valentine', album: 'Loveless', albumUrl: '/album/1955-my-bloody-valentine-loveless.php' },
+    { rank: 2, artist: 'Slowdive', album: 'Souvlaki', albumUrl: '/album/2126-slowdive-souvlaki.php' },
+    { rank: 3, artist: 'Have a Nice Life', album: 'Deathconsciousness', albumUrl: '/album/7654-have-a-nice-life-deathconsciousness.php' },
+  ]);
+});
+
+test('parseChartPage falls back to "Artist - Album" album links', () => {
+  const { albums, strategy } = parseChartPage(fixture('chart-link-list.html'));
+  assert.equal(strategy, 'album-links');
+  assert.deepEqual(albums, [
+    { rank: 1, artist: 'Joy Division', album: 'Unknown Pleasures', albumUrl: '/album/1544-joy-division-unknown-pleasures.php' },
+    { rank: 2, artist: 'Wire', album: 'Pink Flag', albumUrl: '/album/3021-wire-pink-flag.php' },
+    { rank: 3, artist: 'Television', album: 'Marquee Moon', albumUrl: '/album/8802-television-marquee-moon.php' },
+  ]);
+});
+
+test('parseChartPage pairs titles by index when rows have no shared container', () => {
+  const html = `
+    <span class="albumTitle">Loveless</span><span class="albumTitle">Souvlaki</span>
+    <span class="artistTitle">My Bloody Valentine</span><span class="artistTitle">Slowdive</span>`;
+  const { albums } = parseChartPage(html);
+  assert.deepEqual(albums.map(({ artist, album }) => `${artist} / ${album}`), [
+    'My Bloody Valentine / Loveless',
+    'Slowdive / Souvlaki',
+  ]);
+});
+
+test('parseChartPage reports blank artists and mismatched title counts', () => {
+  const html = `
+    <div class="albumBlock"><a href="/album/1-a.php"><div class="albumTitle">First</div></a><div class="artistTitle">Artist One</div></div>
+    <div class="albumBlock"><a href="/album/2-b.php"><div class="albumTitle">Second</div></a></div>`;
+  const { albums, anomalies } = parseChartPage(html);
+  assert.equal(albums.length, 2);
+  assert.deepEqual(anomalies, [
+    { type: 'title-count-mismatch', count: 1 },
+    { type: 'blank-artist', count: 1 },
+  ]);
+});
+
+test('parseChartPage tells an empty chart apart from unreadable album links', () => {
+  const empty = parseChartPage('<html><body><p>No albums found.</p></body></html>');
+  assert.deepEqual(empty.albums, []);
+  assert.equal(empty.strategy, 'none');
+  assert.equal(empty.albumLinks, 0);
+
+  const drifted = parseChartPage('<div class="newRow"><a href="/album/1-a.php">Loveless</a></div>');
+  assert.deepEqual(drifted.albums, []);
+  assert.equal(drifted.strategy, 'none');
+  assert.equal(drifted.albumLinks, 1);
+});
+
+test('parseAlbumTracks orders the track rating table by rating and splits off durations', () => {
+  const { tracks, strategy } = parseAlbumTracks(fixture('album-tracks.html'));
+  assert.equal(strategy, 'rating-table');
+  assert.deepEqual(tracks.slice(0, 4).map((t) => t.name), ['When the Sun Hits', 'Alison', 'Dagger', 'Souvlaki Space Station']);
+  assert.deepEqual(tracks[0], { name: 'When the Sun Hits', rating: 96, duration: 286 });
+  assert.equal(tracks.length, 10);
+  assert.ok(tracks.every(({ name }) => !/\d:\d\d$/.test(name)));
+});
+
+test('parseAlbumTracks ignores tables without ratings', () => {
+  const html = '<table><tr><td>1</td><td>Intro1:02</td><td>-</td></tr><tr><td>2</td><td>Song3:10</td><td></td></tr></table>';
+  assert.deepEqual(parseAlbumTracks(html), { tracks: [], strategy: 'none', anomalies: [] });
+});
+
+test('parseAlbumDetails reads the album header, scores and detail rows', () => {
+  const { details, strategy, anomalies } = parseAlbumDetails(fixture('album-tracks.html'));
+  assert.equal(strategy, 'album-header');
+  assert.deepEqual(anomalies, []);
+  assert.deepEqual(details, {
+    title: 'Souvlaki',
+    artist: 'Slowdive',
+    year: 1993,
+    coverUrl: 'https://cdn.albumoftheyear.org/album/2126-souvlaki.jpg',
+    userScore: 89,
+    criticScore: 88,
+    ratingCount: 4512,
+    recordType: 'LP',
+    genres: [
+      { slug: 'shoegaze', name: 'Shoegaze' },
+      { slug: 'dream-pop', name: 'Dream Pop' },
+    ],
+  });
+});
+
+test('parseAlbumDetails returns null details for a page without an album header', () => {
+  assert.deepEqual(parseAlbumDetails('<div class="content">Not found</div>'), {
+    details: null, strategy: 'none', anomalies: [],
+  });
+});
+
+test('parseGenreList names "View More" links after their heading and skips duplicate slugs', () => {
+  const { genres, strategy, anomalies } = parseGenreList(fixture('genre-list.html'));
+  assert.equal(strategy, 'genre-links');
+  assert.deepEqual(anomalies, []);
+  assert.deepEqual(genres.map(({ slug, name }) => ({ slug, name })), [
+    { slug: 'rock', name: 'Rock' },
+    { slug: 'alternative-rock', name: 'Alternative Rock' },
+    { slug: 'shoegaze', name: 'Shoegaze' },
+    { slug: 'dream-pop', name: 'Dream Pop' },
+    { slug: 'post-punk', name: 'Post-Punk' },
+    { slug: 'gothic-rock', name: 'Gothic Rock' },
+    { slug: 'hip-hop', name: 'Hip Hop' },
+    { slug: 'boom-bap', name: 'Boom Bap' },
+  ]);
+});
+
+test('parseGenreList keeps the heading hierarchy as parent slugs and AOTY ids', () => {
+  const { genres } = parseGenreList(fixture('genre-list.html'));
+  assert.deepEqual(genres.map(({ slug, id, parent }) => [slug, id, parent]), [
+    ['rock', 7, null],
+    ['alternative-rock', 3, 'rock'],
+    ['shoegaze', 22, 'alternative-rock'],
+    ['dream-pop', 109, 'alternative-rock'],
+    ['post-punk', 46, 'rock'],
+    ['gothic-rock', 212, 'post-punk'],
+    ['hip-hop', 5, null],
+    ['boom-bap', 86, 'hip-hop'],
+  ]);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveGenre } from '../genreResolver.js';
+
+const genres = [
+  ['hip-hop', 'Hip Hop'],
+  ['shoegaze', 'Shoegaze'],
+  ['drum-and-bass', 'Drum and Bass'],
+  ['dream-pop', 'Dream Pop'],
+  ['post-rock', 'Post-Rock'],
+  ['post-punk', 'Post-Punk'],
+].map(([slug, name]) => ({ slug, name }));
+
+test('resolveGenre matches slugs, spelling variants, aliases and close typos', () => {
+  const cases = [
+    ['shoegaze', 'shoegaze', 'exact'],
+    ['Hip Hop', 'hip-hop', 'normalized'],
+    ['hiphop', 'hip-hop', 'normalized'],
+    ['Drum & Bass', 'drum-and-bass', 'normalized'],
+    ['dnb', 'drum-and-bass', 'alias'],
+    ['shoegazing', 'shoegaze', 'alias'],
+    ['shogaze', 'shoegaze', 'fuzzy'],
+  ];
+  for (const [input, slug, match] of cases) {
+    const resolved = resolveGenre(input, genres);
+    assert.equal(resolved.genre?.slug, slug, input);
+    assert.equal(resolved.match, match, input);
+  }
+});
+
+test('resolveGenre leaves ambiguous or unknown input unresolved with ranked suggestions', () => {
+  const post = resolveGenre('post', genres);
+  assert.equal(post.genre, null);
+  assert.deepEqual(post.suggestions.map((s) => s.slug).sort(), ['post-punk', 'post-rock']);
+
+  const dream = resolveGenre('dream', genres);
+  assert.equal(dream.genre, null);
+  assert.equal(dream.suggestions[0].slug, 'dream-pop');
+
+  assert.deepEqual(resolveGenre('zzzz', genres).suggestions, []);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePlaylistTracks } from '../playlistBuilder.js';
+
+const albums = [
+  { artist: 'Slowdive', album: 'Souvlaki' },
+  { artist: 'My Bloody Valentine', album: 'Loveless' },
+  { artist: 'My Bloody Valentine', album: "Isn't Anything" },
+  { artist: 'Ride', album: 'Nowhere' },
+];
+
+/** A fake Spotify client with four-track albums (track n lasts n minutes); "Nowhere" isn't on Spotify. */
+function fakeClient() {
+  const calls = { getTracks: [], inFlight: 0, maxInFlight: 0 };
+  const tracksOf = (id) => [1, 2, 3, 4].map((n) => ({
+    id: `${id}-${n}`, uri: `spotify:track:${id}-${n}`, name: `${id} ${n}`, duration_ms: n * 60000,
+  }));
+  return {
+    calls,
+    async searchAlbums(query) {
+      calls.inFlight++;
+      calls.maxInFlight = Math.max(calls.maxInFlight, calls.inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      calls.inFlight--;
+      const album = albums.find((a) => query.includes(a.album) && a.album !== 'Nowhere');
+      const items = album
+        ? [{ id: album.album.replace(/\W/g, ''), name: album.album, artists: [{ name: album.artist }], album_type: 'album' }]
+        : [];
+      return { body: { albums: { items } } };
+    },
+    async getAllAlbumTracks(albumId) {
+      return tracksOf(albumId);
+    },
+    async getTracks(ids) {
+      calls.getTracks.push(ids);
+      // Track 3 is each album's most popular, then track 1
+      return { body: { tracks: ids.map((id) => ({ id, popularity: { 3: 90, 1: 50 }[id.slice(-1)] ?? 10 })) } };
+    },
+  };
+}
+
+test('resolvePlaylistTracks keeps chart order and looks up popularity in one batch', async () => {
+  const client = fakeClient();
+  const { report, trackUris, authError } = await resolvePlaylistTracks(client, albums);
+
+  assert.deepEqual(report.map((e) => [e.album, e.status, e.skipReason]), [
+    ['Souvlaki', 'matched', null],
+    ['Loveless', 'matched', null],
+    ["Isn't Anything", 'matched', null],
+    ['Nowhere', 'skipped', 'no_results'],
+  ]);
+  assert.equal(client.calls.getTracks.length, 1);
+  assert.equal(client.calls.getTracks[0].length, 12);
+  assert.ok(client.calls.maxInFlight > 1);
+  assert.deepEqual(report[0].tracks.map((t) => [t.name, t.source]), [
+    ['Souvlaki 3', 'popularity'],
+    ['Souvlaki 1', 'popularity'],
+    ['Souvlaki 2', 'popularity'],
+  ]);
+  assert.equal(trackUris.length, 9);
+  assert.equal(authError, null);
+});
+
+test('resolvePlaylistTracks reports Spotify auth failures per album', async () => {
+  const client = fakeClient();
+  client.searchAlbums = async () => {
+    throw Object.assign(new Error('The access token expired'), { statusCode: 401 });
+  };
+  const { report, trackUris, authError } = await resolvePlaylistTracks(client, albums.slice(0, 2));
+  assert.deepEqual(report.map((e) => e.skipReason), ['spotify_auth', 'spotify_auth']);
+  assert.equal(trackUris.length, 0);
+  assert.equal(authError.statusCode, 401);
+});
+
+test('resolvePlaylistTracks picks tracks with the requested strategy and count', async () => {
+  const picks = async (strategy, tracksPerAlbum) => {
+    const client = fakeClient();
+    const { report } = await resolvePlaylistTracks(client, albums.slice(0, 1), { strategy, tracksPerAlbum });
+    return { names: report[0].tracks.map((t) => t.name), popularityLookups: client.calls.getTracks.length };
+  };
+
+  assert.deepEqual(await picks('spotify-hits', 2), { names: ['Souvlaki 3', 'Souvlaki 1'], popularityLookups: 1 });
+  assert.deepEqual(await picks('deep-cuts', 2), { names: ['Souvlaki 2', 'Souvlaki 4'], popularityLookups: 1 });
+  assert.deepEqual(await picks('album-openers', 2), { names: ['Souvlaki 1', 'Souvlaki 2'], popularityLookups: 0 });
+  assert.equal((await picks('full-album', 2)).names.length, 4);
+  assert.deepEqual((await picks('one-per-album', 5)).names, ['Souvlaki 3']);
+  await assert.rejects(resolvePlaylistTracks(fakeClient(), albums, { strategy: 'nope' }), /Unknown track strategy/);
+});
+
+test('resolvePlaylistTracks fills a target duration with one track per album first', async () => {
+  const fit = async (minutes, strategy = 'album-openers') => {
+    const { report, tracks, durationShortfallMs } = await resolvePlaylistTracks(fakeClient(), albums, {
+      strategy, tracksPerAlbum: 1, targetDurationMs: minutes * 60000,
+    });
+    return {
+      perAlbum: report.map((e) => [e.tracks.length, e.skipReason]),
+      minutes: tracks.reduce((sum, t) => sum + t.durationMs, 0) / 60000,
+      shortMinutes: durationShortfallMs / 60000,
+    };
+  };
+
+  // Openers (1 min) from every album, then second tracks (2 min), then a third that runs 2 min over;
+  // tracksPerAlbum doesn't cap a target duration
+  assert.deepEqual(await fit(10), {
+    perAlbum: [[3, null], [2, null], [2, null], [0, 'no_results']],
+    minutes: 12,
+    shortMinutes: 0,
+  });
+  assert.deepEqual(await fit(2), {
+    perAlbum: [[1, null], [1, null], [0, 'over_duration'], [0, 'no_results']],
+    minutes: 2,
+    shortMinutes: 0,
+  });
+  // More time than the chart has: every track is kept and the shortfall reported
+  assert.deepEqual(await fit(600), {
+    perAlbum: [[4, null], [4, null], [4, null], [0, 'no_results']],
+    minutes: 30,
+    shortMinutes: 570,
+  });
+  // Strategies with a fixed count keep it
+  assert.equal((await fit(600, 'one-per-album')).minutes, 9);
+});
+
+test('resolvePlaylistTracks cuts a playlist over maxTracks from the bottom of the chart', async () => {
+  const { report, trackUris } = await resolvePlaylistTracks(fakeClient(), albums, {
+    strategy: 'full-album', maxTracks: 6, sequence: 'interleave',
+  });
+  assert.deepEqual(report.map((e) => [e.tracks.length, e.skipReason]), [
+    [4, null], [2, null], [0, 'over_track_limit'], [0, 'no_results'],
+  ]);
+  assert.equal(trackUris.length, 6);
+});
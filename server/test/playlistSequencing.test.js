@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sequenceTracks } from '../playlistSequencing.js';
+
+// Chart order: #1 Loveless (1991), #2 Souvlaki (1993), #3 Isn't Anything (1988), #4 an undated album
+const chart = [
+  ['My Bloody Valentine', 'Loveless', '1991-11-04', 3],
+  ['Slowdive', 'Souvlaki', '1993-05', 3],
+  ['My Bloody Valentine', "Isn't Anything", '1988', 2],
+  ['Ride', 'Nowhere', null, 2],
+];
+const tracks = chart.flatMap(([artist, title, releaseDate, count]) => {
+  const album = { artist, title, albumUrl: `/album/${title}.php`, spotifyAlbum: { releaseDate } };
+  return Array.from({ length: count }, (_, i) => ({ uri: `${title} ${i + 1}`, album }));
+});
+const order = (list) => list.map((t) => t.uri);
+
+test('rank keeps chart order and chronological orders albums by release date', () => {
+  assert.deepEqual(order(sequenceTracks(tracks)), order(tracks));
+  assert.deepEqual(order(sequenceTracks(tracks, { mode: 'chronological' })), [
+    "Isn't Anything 1", "Isn't Anything 2",
+    'Loveless 1', 'Loveless 2', 'Loveless 3',
+    'Souvlaki 1', 'Souvlaki 2', 'Souvlaki 3',
+    'Nowhere 1', 'Nowhere 2',
+  ]);
+});
+
+test('interleave takes one track from each album in turn', () => {
+  assert.deepEqual(order(sequenceTracks(tracks, { mode: 'interleave' })), [
+    'Loveless 1', 'Souvlaki 1', "Isn't Anything 1", 'Nowhere 1',
+    'Loveless 2', 'Souvlaki 2', "Isn't Anything 2", 'Nowhere 2',
+    'Loveless 3', 'Souvlaki 3',
+  ]);
+});
+
+test('shuffle is repeatable per seed and keeps same-artist tracks apart', () => {
+  const a = sequenceTracks(tracks, { mode: 'shuffle', seed: 'primer' });
+  assert.deepEqual(order(a), order(sequenceTracks(tracks, { mode: 'shuffle', seed: 'primer' })));
+  assert.notDeepEqual(order(a), order(sequenceTracks(tracks, { mode: 'shuffle', seed: 'other' })));
+  assert.deepEqual([...order(a)].sort(), [...order(tracks)].sort());
+
+  // Five of the ten tracks are My Bloody Valentine's, so they can only be kept apart by alternating
+  for (const seed of ['1', '2', '3', 'primer', 'other']) {
+    const shuffled = sequenceTracks(tracks, { mode: 'shuffle', seed });
+    for (let i = 1; i < shuffled.length; i++) {
+      assert.notEqual(shuffled[i].album.artist, shuffled[i - 1].album.artist, `seed ${seed} at ${i}`);
+    }
+  }
+});
+
+test('sequenceTracks rejects unknown modes', () => {
+  assert.throws(() => sequenceTracks(tracks, { mode: 'alphabetical' }), /Unknown sequencing mode/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSyncablePlaylist, getPrimerPlaylist, primerPlaylistKey, savePrimerPlaylist } from '../primerPlaylists.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const period = { from: 1990, to: 1999 };
+
+/** A fake Spotify client that knows one playlist, owned by "me". */
+function fakeClient({ following = true } = {}) {
+  return {
+    async getPlaylist(playlistId) {
+      if (playlistId !== 'pl1') throw Object.assign(new Error('Not found'), { statusCode: 404 });
+      return { body: { id: 'pl1', owner: { id: 'me' } } };
+    },
+    async isFollowingPlaylist() {
+      return following;
+    },
+  };
+}
+
+test('primerPlaylistKey separates users, genres and periods', () => {
+  assert.equal(primerPlaylistKey('me', ' Shoegaze ', period), 'me:shoegaze:1990-1999');
+  assert.equal(primerPlaylistKey('me', 'shoegaze', null), 'me:shoegaze:all');
+  assert.notEqual(primerPlaylistKey('you', 'shoegaze', null), primerPlaylistKey('me', 'shoegaze', null));
+});
+
+test('a saved primer playlist is found again for the same user and configuration only', async () => {
+  await savePrimerPlaylist('me', 'shoegaze', period, { id: 'pl1', url: 'https://open.spotify.com/playlist/pl1', name: 'x' });
+  assert.equal((await findSyncablePlaylist(fakeClient(), 'me', 'Shoegaze', period))?.playlist_id, 'pl1');
+  assert.equal(await findSyncablePlaylist(fakeClient(), 'me', 'shoegaze', null), null);
+  assert.equal(await findSyncablePlaylist(fakeClient(), 'you', 'shoegaze', period), null);
+});
+
+test('a deleted or missing playlist is forgotten so a new one gets created', async () => {
+  await savePrimerPlaylist('me', 'jazz', null, { id: 'pl1', url: 'u', name: 'x' });
+  assert.equal(await findSyncablePlaylist(fakeClient({ following: false }), 'me', 'jazz', null), null);
+  assert.equal(await getPrimerPlaylist('me', 'jazz', null), null);
+
+  await savePrimerPlaylist('me', 'jazz', null, { id: 'gone', url: 'u', name: 'x' });
+  assert.equal(await findSyncablePlaylist(fakeClient(), 'me', 'jazz', null), null);
+  assert.equal(await getPrimerPlaylist('me', 'jazz', null), null);
+});
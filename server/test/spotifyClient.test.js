@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withSpotifyRetry } from '../spotifyClient.js';
+
+const spotifyError = (statusCode, headers = {}) => Object.assign(new Error(`HTTP ${statusCode}`), { statusCode, headers });
+
+function flaky(...failures) {
+  let calls = 0;
+  const call = async () => {
+    calls++;
+    if (failures.length > 0) throw failures.shift();
+    return 'ok';
+  };
+  return { call, calls: () => calls };
+}
+
+test('withSpotifyRetry waits out 429s and retries transient 5xx errors', async () => {
+  const limited = flaky(spotifyError(429, { 'retry-after': '0' }), spotifyError(429, { 'retry-after': '0' }));
+  assert.equal(await withSpotifyRetry(limited.call), 'ok');
+  assert.equal(limited.calls(), 3);
+
+  const unavailable = flaky(spotifyError(503));
+  assert.equal(await withSpotifyRetry(unavailable.call), 'ok');
+  assert.equal(unavailable.calls(), 2);
+});
+
+test('withSpotifyRetry gives up on client errors, long bans and 5xx for non-idempotent calls', async () => {
+  const notFound = flaky(spotifyError(404));
+  await assert.rejects(withSpotifyRetry(notFound.call), { statusCode: 404 });
+  assert.equal(notFound.calls(), 1);
+
+  const banned = flaky(spotifyError(429, { 'retry-after': '3600' }));
+  await assert.rejects(withSpotifyRetry(banned.call), { statusCode: 429 });
+  assert.equal(banned.calls(), 1);
+
+  const create = flaky(spotifyError(502));
+  await assert.rejects(withSpotifyRetry(create.call, { idempotent: false }), { statusCode: 502 });
+  assert.equal(create.calls(), 1);
+
+  const bug = flaky(new TypeError('x is undefined'));
+  await assert.rejects(withSpotifyRetry(bug.call), TypeError);
+  assert.equal(bug.calls(), 1);
+});
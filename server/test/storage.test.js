@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from '../storage/fileStore.js';
+import { createMemoryStore } from '../storage/memoryStore.js';
+
+const backends = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'genre-tourist-storage-')) }),
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name} store gets, lists, upserts by key column and removes rows`, async () => {
+    const store = create();
+    assert.equal(await store.get('rym_charts_cache', 'aoty-user:shoegaze'), null);
+
+    await store.upsert('rym_charts_cache', { genre: 'aoty-user:shoegaze', data: [{ rank: 1 }], depth: 20 });
+    await store.upsert('rym_charts_cache', [
+      { genre: 'aoty-user:shoegaze', depth: 50 },
+      { genre: 'aoty-user:jazz', data: [], depth: 20 },
+    ]);
+    assert.deepEqual(await store.get('rym_charts_cache', 'aoty-user:shoegaze'), {
+      genre: 'aoty-user:shoegaze', data: [{ rank: 1 }], depth: 50,
+    });
+    assert.equal((await store.list('rym_charts_cache')).length, 2);
+
+    assert.equal(await store.remove('rym_charts_cache', 'aoty-user:jazz'), true);
+    assert.equal(await store.remove('rym_charts_cache', 'aoty-user:jazz'), false);
+    assert.deepEqual((await store.list('rym_charts_cache')).map((r) => r.genre), ['aoty-user:shoegaze']);
+  });
+
+  test(`${name} store returns the most recent rows by a column`, async () => {
+    const store = create();
+    await store.upsert('admin_audit_log', [
+      { id: 'a', created_at: '2026-01-02T00:00:00.000Z' },
+      { id: 'b', created_at: '2026-01-03T00:00:00.000Z' },
+      { id: 'c', created_at: '2026-01-01T00:00:00.000Z' },
+    ]);
+    assert.deepEqual((await store.recent('admin_audit_log', 'created_at', 2)).map((r) => r.id), ['b', 'a']);
+    await assert.rejects(store.recent('no_such_table', 'created_at', 1), /Unknown storage table/);
+  });
+
+  test(`${name} store returns copies and rejects unknown tables`, async () => {
+    const store = create();
+    await store.upsert('aoty_genres', { slug: 'rock', name: 'Rock' });
+    (await store.get('aoty_genres', 'rock')).name = 'Changed';
+    assert.equal((await store.get('aoty_genres', 'rock')).name, 'Rock');
+    await assert.rejects(store.get('no_such_table', 'x'), /Unknown storage table/);
+  });
+}
+
+test('file store keeps rows across instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'genre-tourist-storage-'));
+  await createFileStore({ dir }).upsert('aoty_album_tracks', { album_path: '/album/1.php', tracks: [] });
+  assert.deepEqual(await createFileStore({ dir }).get('aoty_album_tracks', '/album/1.php'), {
+    album_path: '/album/1.php', tracks: [],
+  });
+});
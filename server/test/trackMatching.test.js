@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRACK_MATCH_THRESHOLD, findTrackMatch, normalizeTrackTitle, scoreTrackMatch } from '../trackMatching.js';
+
+// [AOTY title, Spotify title, should match] — pairs taken from AOTY track lists and Spotify album pages
+const corpus = [
+  // Remaster and edition noise
+  ['Here Comes the Sun', 'Here Comes The Sun - Remastered 2009', true],
+  ["Don't Stop Me Now", "Don't Stop Me Now - Remastered 2011", true],
+  ['Alison', 'Alison - 2005 Remaster', true],
+  ['Dreams', 'Dreams - 2004 Remaster', true],
+  ['Teen Age Riot', 'Teen Age Riot (Album Version)', true],
+  ['God Only Knows', 'God Only Knows - Mono / 1997 Remastered', true],
+  ['Airbag', 'Airbag - Remastered', true],
+  // Featured artists
+  ['No Church in the Wild', 'No Church In The Wild (feat. Frank Ocean & The-Dream)', true],
+  ['Money Trees', 'Money Trees (feat. Jay Rock)', true],
+  ['HUMBLE.', 'HUMBLE.', true],
+  ['Ni**as in Paris', 'Ni**as In Paris feat. Kanye West', true],
+  // Unicode, diacritics and punctuation
+  ['Jóga', 'Jóga', true],
+  ['Água de Beber', 'Agua De Beber', true],
+  ['Don’t Stop Me Now', "Don't Stop Me Now", true],
+  ['夜に駆ける', '夜に駆ける', true],
+  ['夜に駆ける', 'アイドル', false],
+  ['(Don\'t Fear) The Reaper', "(Don't Fear) The Reaper", true],
+  ['Rock & Roll', 'Rock and Roll - Remaster', true],
+  // Live, demo, acoustic and other versions only match the same version
+  ['Where Is My Mind?', 'Where Is My Mind? - Live', false],
+  ['Bohemian Rhapsody', 'Bohemian Rhapsody - Live Aid', false],
+  ['Creep', 'Creep - Acoustic', false],
+  ['Dreams', 'Dreams - Take 2', false],
+  ['Drain You', 'Drain You - Devonshire Mix', false],
+  ['Lithium', 'Lithium - Live At The Paramount', false],
+  ['Song for the Dead (Live)', 'Song For The Dead - Live', true],
+  ['Heart of Glass', 'Heart of Glass - Demo', false],
+  // Part numbering
+  ['Another Brick in the Wall (Part II)', 'Another Brick in the Wall, Pt. 2', true],
+  ['Another Brick in the Wall (Part II)', 'Another Brick in the Wall, Pt. 1', false],
+  ['Father Stretch My Hands Pt. 1', 'Father Stretch My Hands, Pt. 1', true],
+  ['Father Stretch My Hands Pt. 1', 'Father Stretch My Hands, Pt. 2', false],
+  ['Shine On You Crazy Diamond (Pts. 1-5)', 'Shine On You Crazy Diamond, Pts. 1-5', true],
+  ['Shine On You Crazy Diamond (Pts. 1-5)', 'Shine On You Crazy Diamond (Pts. 6-9)', false],
+  ['Part Time Lover', 'Part-Time Lover', true],
+  // Track-number prefixes, but not numbers that are the title
+  ['01. Airbag', 'Airbag', true],
+  ['3) Paranoid Android', 'Paranoid Android - Remastered', true],
+  ['A1. Speak to Me', 'Speak to Me', true],
+  ['1979', '1979 - Remastered 2012', true],
+  ['22 (OVER S∞∞N)', '22 (OVER S∞∞N)', true],
+  // Edit distance: small spelling differences pass, loose substrings do not
+  ['Paranoid Android', 'Paranoid Andriod', true],
+  ['Intro', 'Introduction to X', false],
+  ['Intro', 'Outro', false],
+  ['Go', 'No', false],
+  ['Everything in Its Right Place', 'Everything In Its Right Place', true],
+];
+
+test('scoreTrackMatch agrees with the AOTY/Spotify corpus', () => {
+  for (const [aoty, spotify, expected] of corpus) {
+    const score = scoreTrackMatch(aoty, spotify);
+    assert.equal(score >= TRACK_MATCH_THRESHOLD, expected, `${aoty} ↔ ${spotify} scored ${score}`);
+  }
+});
+
+test('normalizeTrackTitle separates the base title from versions and parts', () => {
+  const cases = [
+    ['Here Comes The Sun - Remastered 2009', { base: 'here comes the sun', markers: [], part: null }],
+    ['Lithium - Live At The Paramount', { base: 'lithium', markers: ['live'], part: null }],
+    ['Another Brick in the Wall (Part II)', { base: 'another brick in the wall', markers: [], part: '2' }],
+    ['Shine On You Crazy Diamond, Pts. 1-5', { base: 'shine on you crazy diamond', markers: [], part: '1-5' }],
+    ['07 - Jóga (Unplugged)', { base: 'joga', markers: ['acoustic'], part: null }],
+    ['Money Trees (feat. Jay Rock)', { base: 'money trees', markers: [], part: null }],
+  ];
+  for (const [title, expected] of cases) {
+    assert.deepEqual(normalizeTrackTitle(title), expected, title);
+  }
+});
+
+test('findTrackMatch prefers the studio version over live and bonus takes', () => {
+  const tracks = ['Where Is My Mind? - Live', 'Where Is My Mind? - Remastered', 'Gigantic'].map((name) => ({ name }));
+  assert.equal(findTrackMatch('Where Is My Mind?', tracks)?.track.name, 'Where Is My Mind? - Remastered');
+  assert.equal(findTrackMatch('Debaser', tracks), null);
+});
@@ -0,0 +1,132 @@
+import { similarityRatio } from './similarity.js';
+
+/**
+ * Match AOTY track titles to Spotify tracks on the same album. Titles are reduced to a comparable base
+ * (accents folded, track-number prefixes, featured artists and remaster/mono/single-version noise
+ * dropped) plus the version markers and part number they carry, so "Here Comes the Sun" matches
+ * "Here Comes The Sun - Remastered 2009" but not "Here Comes The Sun - Live", and "Pt. II" matches
+ * "Part 2" but not "Part 1". Bases are compared by edit distance; substrings alone never match.
+ */
+
+export const TRACK_MATCH_THRESHOLD = 0.8;
+// Each version marker (live, demo, ...) on only one side scales the score down by this much
+const MARKER_PENALTY = 0.6;
+// A part number on only one side ("Shine On You Crazy Diamond" vs "..., Pts. 1-5")
+const ONE_SIDED_PART_PENALTY = 0.85;
+
+const FEAT_RE = /^(feat\.?|ft\.?|featuring|with)\s/i;
+const INLINE_FEAT_RE = /\s+(feat\.?|ft\.|featuring)\s.*$/i;
+const NOISE_RE = /\b(remaster(ed)?|mono|stereo|(single|album|lp|original) version|bonus track|explicit|clean)\b/i;
+const MARKER_RE = /\b(live|demo|acoustic|unplugged|remix|mix|instrumental|edit|take|sessions?|rehearsal|alternate|extended|a cappella)\b/gi;
+const PART_RE = /,?\s*\b(?:parts?|pts?)\.?\s*(\d+|[ivx]+|one|two|three|four|five|six|seven|eight|nine|ten)\b(?:\s*[-–&]\s*(\d+|[ivx]+)\b)?/i;
+// "01. ", "3) ", "A1. " (vinyl sides) or "07 - " before the title
+const TRACK_NUMBER_RE = /^\s*(?:[a-d]?\d{1,3}\s*[.)]\s*|\d{1,3}\s+[-–—]\s+)/i;
+
+const MARKER_ALIASES = { unplugged: 'acoustic', remix: 'mix', sessions: 'session' };
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+const ROMAN = { i: 1, v: 5, x: 10 };
+
+function partNumber(token) {
+  const t = token.toLowerCase();
+  if (/^\d+$/.test(t)) return Number(t);
+  const word = NUMBER_WORDS.indexOf(t);
+  if (word >= 0) return word + 1;
+  let total = 0;
+  for (let i = 0; i < t.length; i++) {
+    const value = ROMAN[t[i]];
+    total += value < (ROMAN[t[i + 1]] || 0) ? -value : value;
+  }
+  return total;
+}
+
+function partFrom(match) {
+  const from = partNumber(match[1]);
+  return match[2] ? `${from}-${partNumber(match[2])}` : String(from);
+}
+
+function foldTitle(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’‘`]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Reduce a track title to what matters for matching.
+ * @param {string} title
+ * @returns {{ base: string, markers: string[], part: string|null }} base is lowercase, accent- and
+ *   punctuation-free; markers are sorted version markers ("live", "demo", "mix", ...); part is "2" or
+ *   "1-5" for numbered parts
+ */
+export function normalizeTrackTitle(title) {
+  const markers = new Set();
+  let part = null;
+
+  // Bracketed groups and " - " suffixes are either dropped (credits, noise, versions, parts) or kept
+  const classify = (group) => {
+    const text = group.trim();
+    if (!text || FEAT_RE.test(text)) return true;
+    const partMatch = text.match(PART_RE);
+    if (partMatch && partMatch.index === 0 && partMatch[0].length === text.length) {
+      part = partFrom(partMatch);
+      return true;
+    }
+    const found = text.match(MARKER_RE) || [];
+    for (const marker of found) {
+      const m = marker.toLowerCase();
+      markers.add(MARKER_ALIASES[m] || m);
+    }
+    return found.length > 0 || NOISE_RE.test(text);
+  };
+
+  let text = (title || '').replace(TRACK_NUMBER_RE, '');
+  text = text.replace(/\s*[([]([^)\]]*)[)\]]/g, (whole, inner) => (classify(inner) ? ' ' : whole));
+  const [main, ...suffixes] = text.split(/\s+[-–—]\s+/);
+  text = [main, ...suffixes.filter((suffix) => !classify(suffix))].join(' ');
+  text = text.replace(INLINE_FEAT_RE, '');
+
+  const partMatch = text.match(PART_RE);
+  if (partMatch) {
+    part = partFrom(partMatch);
+    text = text.replace(PART_RE, ' ');
+  }
+
+  const base = foldTitle(text) || foldTitle(title || '');
+  return { base, markers: [...markers].sort(), part };
+}
+
+/**
+ * How well two track titles match, 0–1: edit-distance similarity of the bases, scaled down for version
+ * markers on one side only, and 0 for different part numbers.
+ */
+export function scoreTrackMatch(aotyTitle, spotifyTitle) {
+  const a = typeof aotyTitle === 'string' ? normalizeTrackTitle(aotyTitle) : aotyTitle;
+  const b = typeof spotifyTitle === 'string' ? normalizeTrackTitle(spotifyTitle) : spotifyTitle;
+  let score = similarityRatio(a.base, b.base);
+  if (a.part && b.part && a.part !== b.part) return 0;
+  if (Boolean(a.part) !== Boolean(b.part)) score *= ONE_SIDED_PART_PENALTY;
+  const unmatched = a.markers.filter((m) => !b.markers.includes(m)).length
+    + b.markers.filter((m) => !a.markers.includes(m)).length;
+  score *= MARKER_PENALTY ** unmatched;
+  return Number(score.toFixed(3));
+}
+
+/**
+ * The Spotify track that best matches an AOTY title, or null when none reaches TRACK_MATCH_THRESHOLD.
+ * @param {string} aotyTitle
+ * @param {{ name: string }[]} spotifyTracks
+ * @returns {{ track: object, score: number }|null}
+ */
+export function findTrackMatch(aotyTitle, spotifyTracks) {
+  const wanted = normalizeTrackTitle(aotyTitle);
+  let best = null;
+  for (const track of spotifyTracks) {
+    const score = scoreTrackMatch(wanted, normalizeTrackTitle(track.name));
+    if (score >= TRACK_MATCH_THRESHOLD && (!best || score > best.score)) best = { track, score };
+  }
+  return best;
+}
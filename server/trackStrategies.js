@@ -0,0 +1,122 @@
+/**
+ * Track-selection strategy registry: how a playlist picks tracks from each matched album. A strategy is
+ * { id, label, description, usesAotyRatings, fixedCount, allTracks, wantsPopularity(album, count),
+ *   select(album, count) } where album is { items, aotyMatches, popularity }: items are the album's
+ * Spotify tracks in album order, aotyMatches the Spotify tracks matching AOTY's top-rated ones (best
+ * first; only filled for strategies with usesAotyRatings) and popularity a Map of track id → Spotify
+ * popularity (only for albums wantsPopularity accepted, and empty if the lookup failed).
+ * select returns up to count picks as { track, source } with source "aoty", "popularity" or
+ * "album-order"; the playlist builder tops up short picks in album order. fixedCount overrides the
+ * requested tracks per album; allTracks takes every track.
+ */
+const strategies = new Map();
+
+export const DEFAULT_TRACK_STRATEGY = 'aoty-favorites';
+export const DEFAULT_TRACKS_PER_ALBUM = 3;
+export const MAX_TRACKS_PER_ALBUM = 10;
+
+/** Register a track-selection strategy under a unique id. */
+export function registerTrackStrategy(strategy) {
+  if (!strategy?.id || typeof strategy.select !== 'function') {
+    throw new Error('Track strategy needs an id and a select function');
+  }
+  if (strategies.has(strategy.id)) {
+    throw new Error(`Track strategy already registered: ${strategy.id}`);
+  }
+  strategies.set(strategy.id, {
+    label: strategy.id,
+    description: '',
+    usesAotyRatings: false,
+    fixedCount: null,
+    allTracks: false,
+    wantsPopularity: () => false,
+    ...strategy,
+  });
+}
+
+/** Look up a registered strategy. Returns null for unknown ids. */
+export function getTrackStrategy(id) {
+  return strategies.get(id) || null;
+}
+
+/** List strategies as { id, label, description, fixedCount, allTracks } for clients. */
+export function listTrackStrategies() {
+  return Array.from(strategies.values()).map(({ id, label, description, fixedCount, allTracks }) => ({
+    id, label, description, fixedCount, allTracks,
+  }));
+}
+
+/** Tracks per album a strategy takes for a requested count (Infinity for whole albums). */
+export function strategyTrackCount(strategy, requested) {
+  if (strategy.allTracks) return Infinity;
+  return strategy.fixedCount ?? requested;
+}
+
+function byPopularity(album, count, direction) {
+  return album.items
+    .filter((t) => album.popularity.has(t.id))
+    .sort((a, b) => direction * (album.popularity.get(b.id) - album.popularity.get(a.id)))
+    .slice(0, count)
+    .map((track) => ({ track, source: 'popularity' }));
+}
+
+/** AOTY's top-rated tracks, topped up with Spotify's most popular when too few could be matched. */
+function aotyFavorites(album, count) {
+  const picks = album.aotyMatches.slice(0, count).map((track) => ({ track, source: 'aoty' }));
+  const used = new Set(picks.map((p) => p.track.uri));
+  for (const pick of byPopularity(album, album.items.length, 1)) {
+    if (picks.length >= count) break;
+    if (!used.has(pick.track.uri)) picks.push(pick);
+  }
+  return picks;
+}
+
+registerTrackStrategy({
+  id: 'aoty-favorites',
+  label: 'AOTY favorites',
+  description: "The album's highest-rated tracks on AlbumOfTheYear.org",
+  usesAotyRatings: true,
+  wantsPopularity: (album, count) => album.aotyMatches.length < count,
+  select: aotyFavorites,
+});
+
+registerTrackStrategy({
+  id: 'spotify-hits',
+  label: 'Spotify hits',
+  description: 'The most played tracks on Spotify',
+  wantsPopularity: () => true,
+  select: (album, count) => byPopularity(album, count, 1),
+});
+
+registerTrackStrategy({
+  id: 'deep-cuts',
+  label: 'Deep cuts',
+  description: 'The least played tracks on Spotify',
+  wantsPopularity: () => true,
+  select: (album, count) => byPopularity(album, count, -1),
+});
+
+registerTrackStrategy({
+  id: 'album-openers',
+  label: 'Album openers',
+  description: 'The first tracks of each album',
+  select: (album, count) => album.items.slice(0, count).map((track) => ({ track, source: 'album-order' })),
+});
+
+registerTrackStrategy({
+  id: 'full-album',
+  label: 'Full album',
+  description: 'Every track, in album order',
+  allTracks: true,
+  select: (album) => album.items.map((track) => ({ track, source: 'album-order' })),
+});
+
+registerTrackStrategy({
+  id: 'one-per-album',
+  label: 'One per album',
+  description: "Each album's single highest-rated track",
+  usesAotyRatings: true,
+  fixedCount: 1,
+  wantsPopularity: (album) => album.aotyMatches.length === 0,
+  select: aotyFavorites,
+});